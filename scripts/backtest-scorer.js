@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Backtest du scorer sur les sessions notées historiques
+ * Usage: node scripts/backtest-scorer.js [--fixture <fichier.json>] [--supabase] [--learned] [--json]
+ *
+ * Par défaut : fixture local scripts/fixtures/backtest-sessions.json (sans Supabase)
+ *   --fixture   autre fichier { spots: [], profiles: [], sessions: [] }
+ *   --supabase  toutes les sessions de la base (getAllSessions + profils + spots)
+ *   --learned   garde les poids appris des profils (biaisé : ajustés sur ces sessions)
+ *   --json      sortie JSON complète (résultats par session inclus)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runBacktest } = require('../src/services/backtest');
+
+const DEFAULT_FIXTURE = path.resolve(__dirname, 'fixtures/backtest-sessions.json');
+
+function parseArgs(argv) {
+    const args = { fixture: DEFAULT_FIXTURE, supabase: false, learned: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fixture') args.fixture = path.resolve(argv[++i]);
+        else if (argv[i] === '--supabase') args.supabase = true;
+        else if (argv[i] === '--learned') args.learned = true;
+        else if (argv[i] === '--json') args.json = true;
+    }
+    return args;
+}
+
+function loadFixture(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        sessions: data.sessions || [],
+        profiles: data.profiles || [],
+        spots: data.spots || [],
+    };
+}
+
+// Chargé à la demande : le mode fixture ne doit pas dépendre de Supabase
+async function loadSupabase() {
+    require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+    const db = require('../src/services/supabaseService');
+    const [sessions, spots] = await Promise.all([db.getAllSessions(), db.getSpots()]);
+    const userIds = [...new Set(sessions.filter(s => s.meteo && s.rating).map(s => s.user_id))];
+    const profiles = (await Promise.all(userIds.map(id => db.getProfile(id)))).filter(Boolean);
+    return { sessions, profiles, spots };
+}
+
+function printReport(report, source) {
+    console.log(`\n🧪 Backtest scorer — ${source}`);
+    console.log(`   Sessions rejouées : ${report.sessions} (${report.users || 0} surfeurs)`);
+    if (!report.sessions) return;
+    console.log(`   Corrélation       : ${report.correlation ?? 'n/a'}`);
+    console.log(`   MAE vs rating×2   : ${report.mae}`);
+    console.log(`   Biais moyen       : ${report.bias > 0 ? '+' : ''}${report.bias}`);
+    console.log('\n   Calibration par tranche de score prédit');
+    console.log('   tranche   n    prédit   réel    écart');
+    report.buckets.forEach(b => {
+        const fmt = v => (v == null ? '-' : v.toFixed(2)).padStart(6);
+        console.log(`   ${b.range.padEnd(7)} ${String(b.count).padStart(3)}   ${fmt(b.meanPredicted)}  ${fmt(b.meanActual)}  ${fmt(b.gap)}`);
+    });
+    console.log('');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const data = args.supabase ? await loadSupabase() : loadFixture(args.fixture);
+
+    const report = runBacktest(data.sessions, {
+        profilesByUser: Object.fromEntries(data.profiles.map(p => [p.id, p])),
+        spotsById: Object.fromEntries(data.spots.map(s => [s.id, s])),
+        useLearnedWeights: args.learned,
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, args.supabase ? 'Supabase' : path.relative(process.cwd(), args.fixture));
+    }
+}
+
+main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
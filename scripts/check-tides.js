@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Vérifie le prédicteur harmonique de marée contre des pleines / basses mers de référence
+ * Usage: node scripts/check-tides.js [--fixture <fichier.json>] [--minutes <n>] [--meters <m>] [--json]
+ *
+ * Par défaut : scripts/fixtures/tide-reference.json
+ *   --fixture   autre fichier { tolerance: { minutes, meters }, stations: [{ code, extremes: [] }] }
+ *               (code = station de src/services/tideStations.js, heures UTC, hauteurs au-dessus du zéro des cartes)
+ *   --minutes   écart d'heure toléré (défaut : celui du fichier, sinon 30)
+ *   --meters    écart de hauteur toléré (défaut : celui du fichier, sinon 0.3)
+ *   --json      sortie JSON complète (écarts par extrême inclus)
+ *
+ * Code de sortie 1 si un extrême de référence est hors tolérance ou sans correspondant
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { predictExtremes } = require('../src/services/tidePredictor');
+const { getStation } = require('../src/services/tideStations');
+
+const DEFAULT_FIXTURE = path.resolve(__dirname, 'fixtures/tide-reference.json');
+// Fenêtre de recherche autour de chaque extrême de référence
+const SEARCH_MS = 3 * 3600 * 1000;
+
+function parseArgs(argv) {
+    const args = { fixture: DEFAULT_FIXTURE, minutes: null, meters: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fixture') args.fixture = path.resolve(argv[++i]);
+        else if (argv[i] === '--minutes') args.minutes = parseFloat(argv[++i]);
+        else if (argv[i] === '--meters') args.meters = parseFloat(argv[++i]);
+        else if (argv[i] === '--json') args.json = true;
+    }
+    return args;
+}
+
+// Extrême prédit le plus proche, de même type, autour de l'extrême de référence
+function compareExtreme(harmonics, reference) {
+    const refMs = new Date(reference.time).getTime();
+    const candidates = predictExtremes(harmonics, refMs - SEARCH_MS, refMs + SEARCH_MS)
+        .filter(e => e.type === reference.type);
+    if (!candidates.length) return { ...reference, predicted: null };
+
+    const nearest = candidates.reduce((best, e) =>
+        Math.abs(e.timestamp * 1000 - refMs) < Math.abs(best.timestamp * 1000 - refMs) ? e : best);
+    return {
+        ...reference,
+        predicted: { time: nearest.time, height: nearest.height },
+        timeErrorMin: Math.round((nearest.timestamp * 1000 - refMs) / 60000),
+        heightError: Math.round((nearest.height - reference.height) * 100) / 100,
+    };
+}
+
+function checkStation(entry, tolerance) {
+    const station = getStation(entry.code);
+    if (!station?.harmonics) {
+        return { code: entry.code, error: 'station inconnue ou sans constantes harmoniques', results: [], failures: entry.extremes.length };
+    }
+
+    const results = entry.extremes.map(reference => {
+        const result = compareExtreme(station.harmonics, reference);
+        result.ok = !!result.predicted
+            && Math.abs(result.timeErrorMin) <= tolerance.minutes
+            && Math.abs(result.heightError) <= tolerance.meters;
+        return result;
+    });
+
+    const matched = results.filter(r => r.predicted);
+    const meanAbs = values => values.length ? values.reduce((sum, v) => sum + Math.abs(v), 0) / values.length : null;
+    const maxAbs = values => values.length ? Math.max(...values.map(Math.abs)) : null;
+    return {
+        code: station.code,
+        name: station.name,
+        source: entry.source || null,
+        extremes: results.length,
+        failures: results.filter(r => !r.ok).length,
+        meanTimeErrorMin: matched.length ? Math.round(meanAbs(matched.map(r => r.timeErrorMin))) : null,
+        maxTimeErrorMin: maxAbs(matched.map(r => r.timeErrorMin)),
+        meanHeightError: matched.length ? Math.round(meanAbs(matched.map(r => r.heightError)) * 100) / 100 : null,
+        maxHeightError: maxAbs(matched.map(r => r.heightError)),
+        results,
+    };
+}
+
+function printReport(report, source) {
+    console.log(`\n🌊 Vérification du prédicteur de marée — ${source}`);
+    console.log(`   Tolérance : ±${report.tolerance.minutes} min, ±${report.tolerance.meters} m`);
+    console.log('\n   station  n    heure moy/max (min)   hauteur moy/max (m)   hors tolérance');
+    report.stations.forEach(s => {
+        if (s.error) {
+            console.log(`   ${s.code.padEnd(7)}  ${s.error}`);
+            return;
+        }
+        const fmt = (v, digits = 0) => (v == null ? '-' : v.toFixed(digits)).padStart(5);
+        console.log(`   ${s.code.padEnd(7)} ${String(s.extremes).padStart(3)}    ${fmt(s.meanTimeErrorMin)} / ${fmt(s.maxTimeErrorMin)}          ${fmt(s.meanHeightError, 2)} / ${fmt(s.maxHeightError, 2)}        ${s.failures}`);
+    });
+    report.stations.flatMap(s => s.results.filter(r => !r.ok).map(r => ({ code: s.code, ...r }))).forEach(r => {
+        const detail = r.predicted
+            ? `prédit ${r.predicted.time} ${r.predicted.height} m (${r.timeErrorMin > 0 ? '+' : ''}${r.timeErrorMin} min, ${r.heightError > 0 ? '+' : ''}${r.heightError} m)`
+            : 'aucun extrême prédit';
+        console.log(`   ❌ ${r.code} ${r.type} ${r.time} ${r.height} m → ${detail}`);
+    });
+    console.log(`\n   ${report.failures ? `❌ ${report.failures} extrême(s) hors tolérance` : '✅ Tous les extrêmes dans la tolérance'}\n`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const data = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+    const tolerance = {
+        minutes: args.minutes ?? data.tolerance?.minutes ?? 30,
+        meters: args.meters ?? data.tolerance?.meters ?? 0.3,
+    };
+
+    const stations = (data.stations || []).map(entry => checkStation(entry, tolerance));
+    const report = {
+        tolerance,
+        stations,
+        failures: stations.reduce((sum, s) => sum + s.failures, 0),
+    };
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, path.relative(process.cwd(), args.fixture));
+    }
+    process.exit(report.failures ? 1 : 0);
+}
+
+main();
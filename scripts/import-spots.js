@@ -193,6 +193,8 @@ async function enrichWithMapview(spots) {
                     }
                     if (ms.offshoreDirection != null) {
                         match._ideal_wind_surfline = [degreesToCardinal(ms.offshoreDirection)];
+                        // Le vent offshore vient de la terre : la plage fait face à l'opposé
+                        match._shore_orientation_surfline = Math.round(ms.offshoreDirection + 180) % 360;
                     }
                     enriched++;
                 }
@@ -216,7 +218,7 @@ async function importToSupabase(spots) {
     // Load existing spots for deduplication
     const { data: existing, error } = await supabase
         .from('spots')
-        .select('id, name, lat, lng, surfline_id, ideal_wind, ideal_swell, ideal_tide, shom_port_code');
+        .select('id, name, lat, lng, surfline_id, ideal_wind, ideal_swell, ideal_tide, shom_port_code, shore_orientation');
 
     if (error) {
         console.error('Failed to load existing spots:', error.message);
@@ -257,6 +259,13 @@ async function importToSupabase(spots) {
             }
         }
 
+        // Only set shore_orientation if not already set manually (PUT /spots/:id/orientation)
+        if (spot._shore_orientation_surfline != null) {
+            if (!match || match.shore_orientation == null) {
+                data.shore_orientation = spot._shore_orientation_surfline;
+            }
+        }
+
         try {
             if (match) {
                 const { error: upErr } = await supabase
@@ -25,6 +25,9 @@ app.use(helmet({
   }
 }));
 
+// Derrière le proxy Vercel / Nginx : req.ip = IP réelle du client (rate limiting des anonymes)
+app.set('trust proxy', 1);
+
 app.use(compression());
 app.use(morgan('combined'));
 
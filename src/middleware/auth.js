@@ -1,38 +1,182 @@
 // 🔐 Middleware d'authentification pour SurfAI
 // Protège les routes sensibles
 
-// Vérifier la clé API pour les routes protégées
-const authenticateAPI = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const expectedKey = process.env.API_KEY_HASH;
-  
-  // Vérifier si la clé API est fournie et correcte
-  if (!apiKey || apiKey !== expectedKey) {
-    return res.status(401).json({
-      error: 'Non autorisé',
-      message: 'Clé API manquante ou invalide',
-      code: 'UNAUTHORIZED',
-      hint: 'Ajoutez le header "X-API-Key" avec la bonne clé'
-    });
+// ─── Clés API (appels serveur à serveur) ────────────────
+// Header X-API-Key : clé par client, hashée en base, avec scopes (voir services/apiKeys)
+
+function unauthorizedKey(res, message) {
+  return res.status(401).json({
+    error: 'Non autorisé',
+    message,
+    code: 'UNAUTHORIZED',
+    hint: 'Ajoutez le header "X-API-Key" avec une clé valide'
+  });
+}
+
+function forbiddenScope(res, scopes) {
+  return res.status(403).json({
+    error: 'Accès refusé',
+    message: `Scope requis : ${scopes.join(' ou ')}`,
+    code: 'INSUFFICIENT_SCOPE'
+  });
+}
+
+// Route réservée aux clés API ayant l'un des scopes demandés → req.apiKey = { id, owner, scopes… }
+const requireApiKey = (...scopes) => async (req, res, next) => {
+  const apiKeys = require('../services/apiKeys');
+  const key = req.headers['x-api-key'];
+  if (!key) return unauthorizedKey(res, 'Clé API manquante');
+
+  try {
+    const apiKey = await apiKeys.verifyApiKey(key);
+    if (!apiKey) return unauthorizedKey(res, 'Clé API invalide, révoquée ou expirée');
+    if (scopes.length && !scopes.some(scope => apiKeys.hasScope(apiKey, scope))) {
+      return forbiddenScope(res, scopes);
+    }
+    req.apiKey = apiKey;
+    console.log(`✅ Clé API acceptée (${apiKey.owner})`);
+    next();
+  } catch (error) {
+    console.error('❌ Vérification de la clé API échouée:', error.message);
+    res.status(503).json({ error: 'Authentification indisponible', message: error.message });
+  }
+};
+
+// N'importe quelle clé valide, quel que soit son scope
+const authenticateAPI = requireApiKey();
+
+// ─── Utilisateurs (jetons Supabase) ─────────────────────
+// Les routes propres à un surfeur (sessions, favoris, prédictions…) ne font plus confiance
+// à un userId envoyé par le client : l'utilisateur est celui du jeton d'accès Supabase
+// (header Authorization: Bearer <access_token>), vérifié auprès de Supabase Auth.
+// authenticateAPI reste réservé aux appels serveur à serveur.
+
+// Jetons déjà vérifiés : évite un aller-retour Supabase Auth à chaque requête
+const TOKEN_CACHE_MS = 60 * 1000;
+const tokenCache = new Map();
+
+function bearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+async function verifyAccessToken(token) {
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const db = require('../services/supabaseService');
+  const { data, error } = await db.supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    tokenCache.delete(token);
+    return null;
+  }
+
+  const user = { id: data.user.id, email: data.user.email, role: data.user.role };
+  if (tokenCache.size > 1000) tokenCache.clear();
+  tokenCache.set(token, { user, expiresAt: Date.now() + TOKEN_CACHE_MS });
+  return user;
+}
+
+function unauthorizedUser(res, message) {
+  return res.status(401).json({
+    success: false,
+    error: 'Non authentifié',
+    message,
+    code: 'UNAUTHENTICATED',
+    hint: 'Ajoutez le header "Authorization: Bearer <access_token Supabase>"'
+  });
+}
+
+// Route réservée à un utilisateur connecté → req.user = { id, email, role }
+const requireUser = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return unauthorizedUser(res, 'Jeton d\'accès manquant');
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) return unauthorizedUser(res, 'Jeton d\'accès invalide ou expiré');
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Vérification du jeton échouée:', error.message);
+    res.status(503).json({ success: false, error: 'Authentification indisponible' });
+  }
+};
+
+// Écriture de sessions : utilisateur connecté, ou clé API de scope write-sessions (app partenaire,
+// import depuis une montre) → req.user = { id, apiKeyId }
+// La clé n'agit que pour les surfeurs qui lui sont délégués (api_keys.delegated_users, body.userId) ;
+// sinon le jeton Supabase du surfeur doit accompagner la clé. Même règle pour une clé admin.
+const requireSessionWriter = (req, res, next) => {
+  if (!req.headers['x-api-key']) return requireUser(req, res, next);
+  return requireApiKey('write-sessions')(req, res, () => {
+    const apiKeyId = req.apiKey.id;
+    const userId = req.body?.userId;
+    if (userId != null && typeof userId !== 'string') {
+      return res.status(400).json({ success: false, error: 'userId invalide' });
+    }
+
+    if (bearerToken(req)) {
+      return requireUser(req, res, () => {
+        if (userId && userId !== req.user.id) {
+          return res.status(403).json({ success: false, error: 'userId différent de l\'utilisateur du jeton' });
+        }
+        req.user = { ...req.user, apiKeyId };
+        next();
+      });
+    }
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'userId (ou jeton du surfeur) requis avec une clé API write-sessions' });
+    }
+    if (!(req.apiKey.delegated_users || []).includes(userId)) {
+      return res.status(403).json({ success: false, error: 'Cette clé API n\'agit pas pour ce surfeur', code: 'USER_NOT_DELEGATED' });
+    }
+    req.user = { id: userId, apiKeyId };
+    next();
+  });
+};
+
+// Route publique personnalisable : req.user si un jeton valide est fourni, sinon null.
+// Déjà résolu plus haut (req.user défini, même null) : pas de seconde vérification
+const optionalUser = async (req, res, next) => {
+  if (req.user !== undefined) return next();
+  req.user = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    console.warn('⚠️ Vérification du jeton échouée (route publique):', error.message);
   }
-  
-  // Authentification réussie, continuer
-  console.log('✅ Authentification API réussie');
   next();
 };
 
-// Middleware optionnel pour les routes publiques mais avec logging
-const optionalAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (apiKey) {
-    console.log('🔍 Clé API détectée sur route publique');
+// Route publique : une clé API est facultative, mais si elle est fournie elle doit être valide
+// et porter le scope read-forecast → req.apiKey (sinon null), utilisé pour les quotas par client
+const optionalAuth = async (req, res, next) => {
+  req.apiKey = null;
+  const key = req.headers['x-api-key'];
+  if (!key) return next();
+
+  try {
+    const apiKeys = require('../services/apiKeys');
+    const apiKey = await apiKeys.verifyApiKey(key);
+    if (!apiKey) return unauthorizedKey(res, 'Clé API invalide, révoquée ou expirée');
+    if (!apiKeys.hasScope(apiKey, 'read-forecast')) return forbiddenScope(res, ['read-forecast']);
+    req.apiKey = apiKey;
+  } catch (error) {
+    console.warn('⚠️ Vérification de la clé API échouée (route publique):', error.message);
   }
-  
   next();
 };
 
 module.exports = { 
   authenticateAPI,
-  optionalAuth 
+  requireApiKey,
+  optionalAuth,
+  requireUser,
+  requireSessionWriter,
+  optionalUser
 };
\ No newline at end of file
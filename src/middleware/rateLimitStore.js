@@ -0,0 +1,103 @@
+// 🗃️ Stores du rate limiting SurfAI
+// memory : compteurs locaux au processus (dev, tests, instance unique)
+// redis  : compteurs partagés entre instances (Vercel, docker-compose avec REDIS_URL),
+//          repli sur la mémoire pendant une panne Redis
+// RATE_LIMIT_STORE=memory|redis ; par défaut redis dès que REDIS_URL est défini
+
+const { MemoryStore } = require('express-rate-limit');
+const { getRedisClient } = require('../services/redisClient');
+
+// Store express-rate-limit sur Redis : INCR + expiration posée au premier hit de la fenêtre
+// Redis indisponible : les compteurs passent sur un MemoryStore local le temps de la panne
+// (quota par instance) plutôt que de laisser passer toutes les requêtes
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = `surfai:rl:${prefix}:`;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+    this.degraded = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  // Exécute op sur Redis, sinon sur le store mémoire
+  async withFallback(op, fallbackOp) {
+    try {
+      const result = await op(await getRedisClient());
+      if (this.degraded) {
+        this.degraded = false;
+        console.log(`✅ Rate limit ${this.prefix}: retour sur Redis`);
+      }
+      return result;
+    } catch (e) {
+      if (!this.degraded) {
+        this.degraded = true;
+        console.warn(`⚠️ Rate limit ${this.prefix}: Redis indisponible, compteurs mémoire (${e.message})`);
+      }
+      return fallbackOp();
+    }
+  }
+
+  async get(key) {
+    return this.withFallback(async (client) => {
+      const [hits, ttl] = await client.multi().get(this.prefix + key).pTTL(this.prefix + key).exec();
+      if (hits === null) return undefined;
+      return { totalHits: parseInt(hits), resetTime: new Date(Date.now() + Math.max(0, ttl)) };
+    }, () => this.fallback.get(key));
+  }
+
+  async increment(key) {
+    return this.withFallback(async (client) => {
+      const redisKey = this.prefix + key;
+      const [totalHits, ttl] = await client.multi().incr(redisKey).pTTL(redisKey).exec();
+
+      let remainingMs = ttl;
+      if (remainingMs < 0) {
+        await client.pExpire(redisKey, this.windowMs);
+        remainingMs = this.windowMs;
+      }
+      return { totalHits, resetTime: new Date(Date.now() + remainingMs) };
+    }, () => this.fallback.increment(key));
+  }
+
+  async decrement(key) {
+    return this.withFallback(
+      client => client.decr(this.prefix + key).then(() => undefined),
+      () => this.fallback.decrement(key)
+    );
+  }
+
+  async resetKey(key) {
+    return this.withFallback(
+      client => client.del(this.prefix + key).then(() => undefined),
+      () => this.fallback.resetKey(key)
+    );
+  }
+
+  shutdown() {
+    this.fallback.shutdown();
+  }
+}
+
+function storeType() {
+  const configured = (process.env.RATE_LIMIT_STORE || '').toLowerCase();
+  if (configured === 'memory' || configured === 'redis') return configured;
+  return process.env.REDIS_URL ? 'redis' : 'memory';
+}
+
+// Un store par limiteur : prefix sépare les compteurs de chaque limiteur dans Redis
+function createStore(prefix) {
+  if (storeType() === 'redis') {
+    if (!process.env.REDIS_URL) {
+      console.warn('⚠️ RATE_LIMIT_STORE=redis sans REDIS_URL → store mémoire');
+      return new MemoryStore();
+    }
+    return new RedisStore(prefix);
+  }
+  return new MemoryStore();
+}
+
+module.exports = { createStore, storeType, RedisStore };
@@ -1,55 +1,91 @@
 // ⚡ Rate Limiter pour SurfAI
 // Évite l'abus de l'API et protège les ressources
+// Quotas par client identifié : clé API (req.apiKey), sinon utilisateur connecté (req.user),
+// sinon IP. Les middlewares d'authentification doivent donc passer avant le limiteur.
+// Compteurs dans un store partagé (Redis) ou local (mémoire) : voir rateLimitStore
 
 const rateLimit = require('express-rate-limit');
+const { createStore, storeType } = require('./rateLimitStore');
+
+// Paliers de quota : requêtes autorisées par fenêtre, selon le type de client
+// admin (clé API de scope admin) n'est pas limité
+const TIERS = {
+  standard: { anonymous: 100, user: 300, partner: 1000 },
+  strict:   { anonymous: 20,  user: 60,  partner: 200 },
+  light:    { anonymous: 50,  user: 150, partner: 500 },
+};
+
+function clientTier(req) {
+  if (req.apiKey) return req.apiKey.scopes?.includes('admin') ? 'admin' : 'partner';
+  if (req.user) return 'user';
+  return 'anonymous';
+}
+
+// Clé de quota : un utilisateur garde son quota d'un réseau à l'autre,
+// et des surfeurs derrière la même IP (NAT, wifi de club) ne se pénalisent pas
+function clientKey(req) {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+function createLimiter(name, { windowMs, label, message, code }) {
+  return rateLimit({
+    windowMs,
+    limit: (req) => TIERS[name][clientTier(req)],
+    skip: (req) => clientTier(req) === 'admin',
+    keyGenerator: clientKey,
+    store: createStore(name),
+    // Le store Redis retombe sur des compteurs mémoire ; toute autre erreur du store laisse passer
+    // la requête plutôt que de bloquer l'API
+    passOnStoreError: true,
+    standardHeaders: true, // Retourne les headers standard rate limit
+    legacyHeaders: false, // Désactive les headers legacy
+    handler: (req, res) => {
+      const tier = clientTier(req);
+      console.log(`🚨 Rate limit ${name} dépassé pour ${clientKey(req)} (${tier})`);
+      res.status(429).json({
+        error: 'Trop de requêtes',
+        message: `${message} (${TIERS[name][tier]} requêtes par ${label}).`,
+        code,
+        tier,
+        retryAfter: Math.round(req.rateLimit.resetTime / 1000)
+      });
+    }
+  });
+}
 
 // Rate limiter standard pour les routes météo
-const rateLimiter = rateLimit({
+const rateLimiter = createLimiter('standard', {
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // 100 requêtes par IP par fenêtre de 15 minutes
-  message: {
-    error: 'Trop de requêtes',
-    message: 'Limite de taux dépassée. Réessayez dans 15 minutes.',
-    code: 'RATE_LIMIT_EXCEEDED',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true, // Retourne les headers standard rate limit
-  legacyHeaders: false, // Désactive les headers legacy
-  handler: (req, res) => {
-    console.log(`🚨 Rate limit dépassé pour IP: ${req.ip}`);
-    res.status(429).json({
-      error: 'Trop de requêtes',
-      message: 'Vous avez dépassé la limite de 100 requêtes par 15 minutes.',
-      retryAfter: Math.round(req.rateLimit.resetTime / 1000),
-      ip: req.ip
-    });
-  }
+  label: '15 minutes',
+  message: 'Limite de taux dépassée. Réessayez dans 15 minutes',
+  code: 'RATE_LIMIT_EXCEEDED'
 });
 
-// Rate limiter strict pour les opérations sensibles
-const strictRateLimiter = rateLimit({
+// Rate limiter strict pour les opérations coûteuses (prédictions multi-spots, appels fournisseurs)
+const strictRateLimiter = createLimiter('strict', {
   windowMs: 60 * 60 * 1000, // 1 heure
-  max: 20, // 20 requêtes par heure
-  message: {
-    error: 'Limite stricte atteinte',
-    message: 'Trop de requêtes sensibles. Réessayez dans 1 heure.',
-    code: 'STRICT_RATE_LIMIT'
-  }
+  label: 'heure',
+  message: 'Trop de requêtes coûteuses. Réessayez dans 1 heure',
+  code: 'STRICT_RATE_LIMIT'
 });
 
 // Rate limiter léger pour les routes publiques
-const lightRateLimiter = rateLimit({
+const lightRateLimiter = createLimiter('light', {
   windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 50, // 50 requêtes par 5 minutes
-  message: {
-    error: 'Ralentissez',
-    message: 'Trop de requêtes rapides. Attendez 5 minutes.',
-    code: 'LIGHT_RATE_LIMIT'
-  }
+  label: '5 minutes',
+  message: 'Trop de requêtes rapides. Attendez 5 minutes',
+  code: 'LIGHT_RATE_LIMIT'
 });
 
-module.exports = { 
+console.log(`⚡ Rate limiting par client (store: ${storeType()})`);
+
+module.exports = {
   rateLimiter,
   strictRateLimiter,
-  lightRateLimiter 
-};
\ No newline at end of file
+  lightRateLimiter,
+  TIERS,
+  clientTier,
+  clientKey
+};
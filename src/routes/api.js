@@ -1,16 +1,24 @@
 // 📡 Routes principales de l'API SurfAI
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 
 // Middleware d'authentification et rate limiting
-const { authenticateAPI } = require('../middleware/auth');
-const { rateLimiter } = require('../middleware/rateLimiter');
+// requireUser : routes propres à un surfeur (utilisateur déduit du jeton Supabase, jamais du client)
+// requireApiKey(scope) : appels serveur à serveur (clé API par client, hashée, avec scopes)
+// optionalAuth : clé API facultative sur les routes publiques (scope read-forecast si fournie)
+// requireSessionWriter : utilisateur connecté, ou clé API write-sessions pour le surfeur body.userId
+const { requireApiKey, optionalAuth, requireUser, requireSessionWriter, optionalUser } = require('../middleware/auth');
+// Quotas par client (clé API, utilisateur ou IP) : l'authentification passe avant le limiteur
+// strictRateLimiter : routes coûteuses (appels fournisseurs, scoring multi-spots)
+const { rateLimiter, strictRateLimiter, lightRateLimiter } = require('../middleware/rateLimiter');
 
 console.log('📡 Chargement des routes API...');
 
 // 🌊 Routes météo (PRINCIPALES - remplacent l'appel direct à Stormglass)
 // Ces routes sont publiques mais avec rate limiting pour éviter l'abus
-router.use('/weather', rateLimiter, require('./weather'));
+// Les apps partenaires et widgets s'identifient avec leur clé API (X-API-Key)
+router.use('/weather', optionalAuth, optionalUser, rateLimiter, require('./weather'));
 
 // 🏄‍♂️ Routes sessions (protégées par authentification)
 // router.use('/sessions', authenticateAPI, require('./sessions'));
@@ -56,27 +64,20 @@ router.get('/info', (req, res) => {
 // ROUTES ADAPTEURS — Compatibilité frontend
 // ========================================
 
-// Coordonnées des spots principaux
-const SPOT_COORDS = {
-  'biarritz': { lat: 43.4832, lng: -1.5586 },
-  'hossegor': { lat: 43.6617, lng: -1.4278 },
-  'anglet': { lat: 43.5109, lng: -1.5213 },
-  'lacanau': { lat: 44.9833, lng: -1.2000 },
-  'capbreton': { lat: 43.6431, lng: -1.4434 },
-  'seignosse': { lat: 43.6667, lng: -1.4167 },
-  'biscarrosse': { lat: 44.4500, lng: -1.2500 },
-};
-
 // Adapteur : /api/v1/ai/test → alias de /api/v1/test
 router.get('/ai/test', (req, res) => {
   res.json({ status: 'UPGRADED_TO_V2', message: '🤖 SurfAI IA Engine opérationnel', version: '2.0' });
 });
 
 // Adapteur : /api/v1/ai/demo/:userId → analyse réelle depuis Supabase
-router.get('/ai/demo/:userId', async (req, res) => {
+// :userId = "me" ou l'id de l'utilisateur connecté (jamais celui d'un autre surfeur)
+router.get('/ai/demo/:userId', requireUser, strictRateLimiter, async (req, res) => {
+  if (req.params.userId !== 'me' && req.params.userId !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'Accès refusé' });
+  }
   try {
     const db = require('../services/supabaseService');
-    const userId = req.params.userId;
+    const userId = req.user.id;
 
     const [sessions, profile] = await Promise.all([
       db.getSessions(userId),
@@ -130,7 +131,7 @@ router.get('/ai/demo/:userId', async (req, res) => {
     console.error('Erreur ai/demo:', error.message);
     res.json({
       success: true,
-      userId: req.params.userId,
+      userId: req.user.id,
       userPreferences: {
         totalSessions: 0,
         wavePreferences: { optimalHeight: { value: 1.5 } },
@@ -145,24 +146,31 @@ router.get('/ai/demo/:userId', async (req, res) => {
 });
 
 // Adapteur : /api/v1/sessions/weather/auto?spot=X → redirige vers /weather/forecast
-router.get('/sessions/weather/auto', async (req, res) => {
+// spot = id, nom ou slug d'un spot de la table spots (Biarritz par défaut)
+router.get('/sessions/weather/auto', optionalUser, strictRateLimiter, async (req, res) => {
   try {
-    const spotName = (req.query.spot || 'biarritz').toLowerCase();
-    const coords = SPOT_COORDS[spotName] || SPOT_COORDS['biarritz'];
+    const { resolveSpot } = require('../services/spotResolver');
+    const spotQuery = req.query.spot || 'biarritz';
+    const spot = await resolveSpot(spotQuery);
+    if (!spot) {
+      return res.status(404).json({ success: false, error: `Spot introuvable: ${spotQuery}` });
+    }
+    const coords = { lat: spot.lat, lng: spot.lng };
     const days = req.query.days || 3;
     const userLevel = req.query.user_level || 'intermediate';
 
     // Appel interne au service météo
-    const stormglassService = require('../services/stormglassService');
+    const forecastProvider = require('../services/forecastProvider');
     const predictionService = require('../services/predictionService');
+    const { computeSlotConfidence } = require('../services/confidence');
 
-    const weatherData = await stormglassService.getForecast(coords.lat, coords.lng, days);
-    const predictions = await predictionService.processForecastData(weatherData, userLevel);
+    const weatherData = await forecastProvider.getForecast(coords.lat, coords.lng, days);
+    const predictions = await predictionService.processForecastData(weatherData, userLevel, spot);
 
-    // Extraire les conditions actuelles (premier point >= maintenant, ou le premier)
+    // Extraire les conditions actuelles (premier point >= maintenant, ou le premier) — déjà scorées
     const nowSec = Date.now() / 1000;
-    const currentPoint = weatherData.forecast && (
-      weatherData.forecast.find(p => p.timestamp >= nowSec) || weatherData.forecast[0]
+    const currentPoint = predictions.forecast && (
+      predictions.forecast.find(p => p.timestamp >= nowSec) || predictions.forecast[0]
     );
 
     // Convertir degrés → direction cardinale
@@ -180,90 +188,145 @@ router.get('/sessions/weather/auto', async (req, res) => {
       tidePhase:     currentPoint.tidePhase || 'unknown',
       tideHeight:    currentPoint.tideHeight || null,
       waterTemp:     currentPoint.waterTemp || null,
-      confidence:    0.8,
+      confidence:    currentPoint.scoring?.confidence.value ?? computeSlotConfidence(currentPoint).value,
+      score:         currentPoint.scoring?.score ?? null,
+      scoreLabel:    currentPoint.scoring?.label ?? null,
       quality:       currentPoint.quality,
       offshore:      currentPoint.offshore,
     } : {};
 
     res.json({
       success: true,
-      spot: req.query.spot || 'Biarritz',
+      spot: spot.name,
+      spotId: spot.id,
       coords,
       weather,
       forecast: weatherData.forecast,
       predictions,
-      message: `Prévisions pour ${req.query.spot || 'Biarritz'}`
+      message: `Prévisions pour ${spot.name}`
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// 📝 Journal de session détaillé (optionnel) — camelCase ou nom de colonne acceptés
+const {
+  CROWD_LEVELS,
+  PERCEIVED_SIZES,
+  WIND_FELT,
+  INCIDENT_TYPES,
+  pickSessionDetails,
+} = require('../services/sessionDetails');
+
+const sessionDetailValidators = [
+  body(['wavesCaught', 'waves_caught']).optional({ nullable: true }).isInt({ min: 0, max: 500 }).withMessage('Vagues prises invalide (0-500)'),
+  body(['longestRideSec', 'longest_ride_sec']).optional({ nullable: true }).isInt({ min: 0, max: 600 }).withMessage('Plus longue ride invalide (0-600 s)'),
+  body(['crowdLevel', 'crowd_level']).optional({ nullable: true }).isIn(CROWD_LEVELS).withMessage(`Niveau de monde invalide (${CROWD_LEVELS.join(', ')})`),
+  body(['perceivedSize', 'perceived_size']).optional({ nullable: true }).isIn(PERCEIVED_SIZES).withMessage(`Taille ressentie invalide (${PERCEIVED_SIZES.join(', ')})`),
+  body(['windFelt', 'wind_felt']).optional({ nullable: true }).isIn(WIND_FELT).withMessage(`Vent ressenti invalide (${WIND_FELT.join(', ')})`),
+  body('incidents').optional({ nullable: true }).isArray({ max: INCIDENT_TYPES.length }).withMessage('incidents doit être une liste'),
+  body('incidents.*').isIn(INCIDENT_TYPES).withMessage(`Incident invalide (${INCIDENT_TYPES.join(', ')})`),
+];
+
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Paramètres invalides', details: errors.array() });
+  return true;
+}
+
+// Plage horaire d'une session (création et modification) : HH:MM, fin après le début,
+// MAX_SESSION_DURATION_MIN au plus. Retourne { start, end } ou { error }
+function checkSessionTimes(date, startTime, endTime) {
+  const { sessionDateTime, sessionEndDateTime, MAX_SESSION_DURATION_MIN } = require('../services/sessionMeteo');
+  const HHMM = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+  if ((startTime && !HHMM.test(startTime)) || (endTime && !HHMM.test(endTime))) {
+    return { error: 'startTime / endTime au format HH:MM' };
+  }
+  if (endTime && !startTime) {
+    return { error: 'startTime requis avec endTime' };
+  }
+  const start = sessionDateTime(date, startTime);
+  if (!start) {
+    return { error: 'date invalide' };
+  }
+  const end = sessionEndDateTime(date, startTime, endTime);
+  if (endTime && !end) {
+    return { error: 'endTime doit être après startTime' };
+  }
+  if (end && (end - start) / 60000 > MAX_SESSION_DURATION_MIN) {
+    return { error: `Session de ${MAX_SESSION_DURATION_MIN / 60}h maximum` };
+  }
+  return { start, end };
+}
+
 // POST /api/v1/sessions/quick → sauvegarde session + capture météo automatique
-router.post('/sessions/quick', async (req, res) => {
+// startTime / endTime (HH:MM) : plage de la session ; time reste accepté comme heure de début
+// Jeton Supabase du surfeur, ou clé API write-sessions avec un userId qui lui est délégué (import partenaire)
+router.post('/sessions/quick', requireSessionWriter, strictRateLimiter, sessionDetailValidators, async (req, res) => {
   try {
+    if (rejectInvalid(req, res)) return;
     const db = require('../services/supabaseService');
-    const stormglassService = require('../services/stormglassService');
-    const { userId, spotId, date, time, rating, notes, boardId } = req.body;
+    const { captureSessionMeteo } = require('../services/sessionMeteo');
+    const userId = req.user.id;
+    const { spotId, date, time, rating, notes, boardId } = req.body;
+    const startTime = req.body.startTime || time || null;
+    const endTime = req.body.endTime || null;
+
+    const times = checkSessionTimes(date, startTime, endTime);
+    if (times.error) return res.status(400).json({ success: false, error: times.error });
+    const { start, end } = times;
 
+    const details = pickSessionDetails(req.body);
     let meteo = null;
+    let spot = null;
 
-    // Capture météo automatique si spot connu
+    // Capture météo automatique si spot connu — historique si la session est passée,
+    // agrégée sur toute la durée si la fin est connue
     if (spotId) {
       try {
-        const spot = await db.getSpotById(spotId);
+        spot = await db.getSpotById(spotId);
         if (spot) {
-          const weatherData = await stormglassService.getForecast(spot.lat, spot.lng, 1);
-          // Trouver le point météo le plus proche de l'heure de session
-          const sessionTime = time ? new Date(`${date?.split('T')[0]}T${time}`) : new Date(date);
-          const sessionTimestamp = sessionTime.getTime() / 1000;
-          const closest = weatherData.forecast?.reduce((best, p) =>
-            Math.abs(p.timestamp - sessionTimestamp) < Math.abs((best?.timestamp || 0) - sessionTimestamp) ? p : best
-          , null);
-
-          if (closest) {
-            meteo = {
-              waveHeight: closest.waveHeight,
-              wavePeriod: closest.wavePeriod,
-              windSpeed: closest.windSpeed,
-              windDirection: closest.windDirection,
-              swellHeight: closest.swellHeight,
-            };
-            console.log(`📡 Météo capturée pour session: ${JSON.stringify(meteo)}`);
-          }
+          meteo = await captureSessionMeteo(spot, start, end);
+          if (meteo) console.log(`📡 Météo capturée pour session: ${JSON.stringify(meteo)}`);
         }
       } catch (meteoError) {
         console.warn('⚠️ Capture météo échouée (session sauvegardée sans météo):', meteoError.message);
       }
     }
 
+    // Prévision vs réalité : score que le moteur aurait donné à cette heure
+    let prediction = {};
+    if (meteo) {
+      try {
+        const { predictSession } = require('../services/forecastFeedback');
+        const [profile, pastSessions] = await Promise.all([db.getProfile(userId), db.getSessionsWithMeteo(userId)]);
+        prediction = predictSession(meteo, { spot, profile, pastSessions, time: start });
+      } catch (predictionError) {
+        console.warn('⚠️ Score prévu non calculé:', predictionError.message);
+      }
+    }
+
     const session = await db.createSession({
       user_id: userId,
       spot_id: spotId,
       date: date || new Date().toISOString(),
-      time: time || null,
+      time: startTime,
+      start_time: startTime,
+      end_time: endTime,
       rating: rating || null,
       notes: notes || '',
       board_id: boardId || null,
+      ...details,
+      ...prediction,
       meteo,
     });
 
     // Snapshot communautaire anonymisé (si météo + rating disponibles)
     if (meteo && rating && spotId) {
       try {
-        const sessionDate = new Date(date || new Date());
-        await db.supabase.from('spot_session_snapshots').insert({
-          spot_id: spotId,
-          wave_height: meteo.waveHeight || null,
-          wind_speed: meteo.windSpeed || null,
-          wind_direction: meteo.windDirection || null,
-          wave_period: meteo.wavePeriod || null,
-          swell_height: meteo.swellHeight || null,
-          tide_phase: meteo.tidePhase || null,
-          rating_norm: Math.round((rating / 5) * 100) / 100,
-          month: sessionDate.getMonth() + 1,
-          year: sessionDate.getFullYear(),
-        });
+        await db.createSessionSnapshot({ spotId, rating, date, meteo, details });
         console.log('📊 Snapshot communautaire créé');
       } catch (snapError) {
         console.warn('⚠️ Snapshot communautaire échoué:', snapError.message);
@@ -278,16 +341,15 @@ router.post('/sessions/quick', async (req, res) => {
     });
   } catch (error) {
     console.error('Erreur sessions/quick:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// GET /api/v1/sessions/list?userId=X → liste des sessions depuis Supabase
-router.get('/sessions/list', async (req, res) => {
+// GET /api/v1/sessions/list → sessions de l'utilisateur connecté depuis Supabase
+router.get('/sessions/list', requireUser, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
-    const userId = req.query.userId;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
+    const userId = req.user.id;
     const sessions = await db.getSessions(userId);
     res.json({ success: true, sessions, count: sessions.length });
   } catch (error) {
@@ -296,30 +358,70 @@ router.get('/sessions/list', async (req, res) => {
 });
 
 // PUT /api/v1/sessions/:id → modifier une session
-router.put('/sessions/:id', async (req, res) => {
+// Mêmes noms que POST /sessions/quick (startTime, endTime, boardId ; time, start_time, end_time et
+// board_id restent acceptés) et même contrôle de la plage horaire, appliqué à la session modifiée.
+// Date ou horaires changés : la météo capturée et le score prévu ne correspondent plus, ils sont
+// effacés et le rattrapage météo (backfill-meteo) reprend la session.
+router.put('/sessions/:id', requireUser, sessionDetailValidators, async (req, res) => {
   try {
+    if (rejectInvalid(req, res)) return;
     const db = require('../services/supabaseService');
-    const { userId, rating, notes, date, time, board_id } = req.body;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
+    const userId = req.user.id;
+    const { rating, notes, date } = req.body;
+    const pick = (camel, snake) => (req.body[camel] !== undefined ? req.body[camel] : req.body[snake]);
+    const startTime = pick('startTime', 'start_time') !== undefined ? pick('startTime', 'start_time') : req.body.time;
+    const endTime = pick('endTime', 'end_time');
+    const boardId = pick('boardId', 'board_id');
+
+    const existing = await db.getSession(req.params.id, userId);
+    if (!existing) return res.status(404).json({ success: false, error: 'Session introuvable' });
+
     const updates = {};
     if (rating !== undefined) updates.rating = rating;
     if (notes !== undefined) updates.notes = notes;
     if (date !== undefined) updates.date = date;
-    if (time !== undefined) updates.time = time;
-    if (board_id !== undefined) updates.board_id = board_id;
+    if (startTime !== undefined) updates.start_time = updates.time = startTime || null;
+    if (endTime !== undefined) updates.end_time = endTime || null;
+    if (boardId !== undefined) updates.board_id = boardId;
+    Object.assign(updates, pickSessionDetails(req.body));
+
+    const timing = {
+      date: updates.date !== undefined ? updates.date : existing.date,
+      startTime: updates.start_time !== undefined ? updates.start_time : (existing.start_time || existing.time),
+      endTime: updates.end_time !== undefined ? updates.end_time : existing.end_time,
+    };
+    const times = checkSessionTimes(timing.date, timing.startTime, timing.endTime);
+    if (times.error) return res.status(400).json({ success: false, error: times.error });
+
+    // Comparaison au jour et à la minute (la base renvoie HH:MM:SS, la date peut être un timestamp)
+    const day = value => String(value || '').split('T')[0];
+    const minute = value => (value ? String(value).slice(0, 5) : null);
+    const timingChanged =
+      day(timing.date) !== day(existing.date) ||
+      minute(timing.startTime) !== minute(existing.start_time || existing.time) ||
+      minute(timing.endTime) !== minute(existing.end_time);
+    if (timingChanged) {
+      Object.assign(updates, {
+        meteo: null,
+        predicted_score: null,
+        prediction: null,
+        meteo_backfill_attempts: null,
+        meteo_backfill_attempted_at: null,
+      });
+    }
+
     const session = await db.updateSession(req.params.id, userId, updates);
-    res.json({ success: true, session });
+    res.json({ success: true, session, meteoReset: timingChanged });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// DELETE /api/v1/sessions/:id?userId=X → supprimer une session
-router.delete('/sessions/:id', async (req, res) => {
+// DELETE /api/v1/sessions/:id → supprimer une session de l'utilisateur connecté
+router.delete('/sessions/:id', requireUser, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
-    const userId = req.query.userId;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
+    const userId = req.user.id;
     await db.deleteSession(req.params.id, userId);
     res.json({ success: true, message: 'Session supprimée' });
   } catch (error) {
@@ -328,7 +430,7 @@ router.delete('/sessions/:id', async (req, res) => {
 });
 
 // GET /api/v1/spots → liste des spots depuis Supabase
-router.get('/spots', async (req, res) => {
+router.get('/spots', lightRateLimiter, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
     const spots = await db.getSpots();
@@ -338,14 +440,80 @@ router.get('/spots', async (req, res) => {
   }
 });
 
+// PUT /api/v1/spots/:id/orientation { shoreOrientation } → orientation de la plage (0-360°, null pour effacer)
+// Direction vers laquelle la plage fait face, côté mer — sert au calcul offshore / onshore
+router.put('/spots/:id/orientation', requireApiKey('admin'), async (req, res) => {
+  try {
+    const db = require('../services/supabaseService');
+    const raw = req.body?.shoreOrientation;
+    const shoreOrientation = raw === null ? null : parseFloat(raw);
+    if (shoreOrientation !== null && (isNaN(shoreOrientation) || shoreOrientation < 0 || shoreOrientation > 360)) {
+      return res.status(400).json({ success: false, error: 'shoreOrientation doit être un angle entre 0 et 360 (ou null)' });
+    }
+
+    const spot = await db.getSpotById(req.params.id);
+    if (!spot) return res.status(404).json({ success: false, error: 'Spot introuvable' });
+
+    const updated = await db.updateSpot(spot.id, {
+      shore_orientation: shoreOrientation === null ? null : Math.round(shoreOrientation) % 360,
+    });
+    res.json({ success: true, spot: { id: updated.id, name: updated.name, shoreOrientation: updated.shore_orientation } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/v1/spots/:id/exposure { swellWindow, sizeFactor } → exposition du spot à la houle
+// swellWindow : [{ from, to, factor }] (secteurs de provenance en °, factor 0-1) ; sizeFactor : amplification
+// Champ absent = inchangé, null = effacé (voir swellExposure)
+router.put('/spots/:id/exposure', requireApiKey('admin'), async (req, res) => {
+  try {
+    const db = require('../services/supabaseService');
+    const { normalizeSwellWindow, SIZE_FACTOR_BOUNDS } = require('../services/swellExposure');
+    const { swellWindow, sizeFactor } = req.body || {};
+    const updates = {};
+
+    if (swellWindow !== undefined) {
+      const normalized = swellWindow === null ? [] : normalizeSwellWindow(swellWindow);
+      if (!normalized) {
+        return res.status(400).json({ success: false, error: 'swellWindow doit être une liste de { from, to, factor } (angles 0-360, factor 0-1) ou null' });
+      }
+      updates.swell_window = normalized.length ? normalized : null;
+    }
+
+    if (sizeFactor !== undefined) {
+      const value = sizeFactor === null ? null : parseFloat(sizeFactor);
+      const [min, max] = SIZE_FACTOR_BOUNDS;
+      if (value !== null && (isNaN(value) || value < min || value > max)) {
+        return res.status(400).json({ success: false, error: `sizeFactor doit être compris entre ${min} et ${max} (ou null)` });
+      }
+      updates.size_factor = value === null ? null : Math.round(value * 100) / 100;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ success: false, error: 'swellWindow ou sizeFactor requis' });
+    }
+
+    const spot = await db.getSpotById(req.params.id);
+    if (!spot) return res.status(404).json({ success: false, error: 'Spot introuvable' });
+
+    const updated = await db.updateSpot(spot.id, updates);
+    res.json({
+      success: true,
+      spot: { id: updated.id, name: updated.name, swellWindow: updated.swell_window, sizeFactor: updated.size_factor },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ─── ROUTES FAVORIS ──────────────────────────────────
 
-// GET /api/v1/favorites?userId=X
-router.get('/favorites', async (req, res) => {
+// GET /api/v1/favorites → spots favoris de l'utilisateur connecté
+router.get('/favorites', requireUser, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
-    const userId = req.query.userId;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
+    const userId = req.user.id;
     const { data: favRows, error } = await db.supabase
       .from('user_favorite_spots')
       .select('spot_id')
@@ -363,12 +531,13 @@ router.get('/favorites', async (req, res) => {
   }
 });
 
-// POST /api/v1/favorites/toggle { userId, spotId }
-router.post('/favorites/toggle', async (req, res) => {
+// POST /api/v1/favorites/toggle { spotId }
+router.post('/favorites/toggle', requireUser, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
-    const { userId, spotId } = req.body;
-    if (!userId || !spotId) return res.status(400).json({ success: false, error: 'userId et spotId requis' });
+    const userId = req.user.id;
+    const { spotId } = req.body;
+    if (!spotId) return res.status(400).json({ success: false, error: 'spotId requis' });
 
     const { data: existing } = await db.supabase
       .from('user_favorite_spots')
@@ -389,7 +558,7 @@ router.post('/favorites/toggle', async (req, res) => {
 });
 
 // GET /api/v1/spots/conditions?spotIds=id1,id2,id3
-router.get('/spots/conditions', async (req, res) => {
+router.get('/spots/conditions', optionalUser, strictRateLimiter, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
     const openMeteo = require('../services/openMeteoService');
@@ -411,17 +580,22 @@ router.get('/spots/conditions', async (req, res) => {
 
 // ─── ROUTES PRÉDICTIONS ──────────────────────────────────
 
-// GET /api/v1/predictions/best-windows?userId=X&days=5
-// Meilleurs créneaux sur les spots les plus surfés par l'utilisateur
-router.get('/predictions/best-windows', async (req, res) => {
+// Surcharge optionnelle du niveau du profil (?level=beginner|intermediate|advanced|expert)
+const SURF_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+function levelOverride(req) {
+  return SURF_LEVELS.includes(req.query.level) ? req.query.level : null;
+}
+
+// GET /api/v1/predictions/best-windows?days=5[&level=beginner]
+// Meilleurs créneaux sur les spots les plus surfés par l'utilisateur connecté
+router.get('/predictions/best-windows', requireUser, strictRateLimiter, async (req, res) => {
   try {
     const db = require('../services/supabaseService');
     const { collectContext } = require('../services/collector');
     const { getBestWindows } = require('../services/recommender');
 
-    const userId = req.query.userId;
+    const userId = req.user.id;
     const days = parseInt(req.query.days) || 5;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
 
     const favoriteSpots = await db.getFavoriteSpots(userId);
     if (!favoriteSpots.length) {
@@ -433,7 +607,7 @@ router.get('/predictions/best-windows', async (req, res) => {
     const results = await Promise.all(
       spotsToAnalyze.map(spot =>
         collectContext(spot.id, userId, days)
-          .then(ctx => getBestWindows(ctx, 6))
+          .then(ctx => getBestWindows({ ...ctx, level: levelOverride(req) }, 6))
           .catch(err => ({ spot: { id: spot.id, name: spot.name }, error: err.message, windows: [] }))
       )
     );
@@ -445,20 +619,19 @@ router.get('/predictions/best-windows', async (req, res) => {
   }
 });
 
-// GET /api/v1/predictions/spot/:spotId?userId=X&days=5
-// Prévisions détaillées pour un spot spécifique
-router.get('/predictions/spot/:spotId', async (req, res) => {
+// GET /api/v1/predictions/spot/:spotId?days=5[&level=beginner]
+// Prévisions détaillées pour un spot spécifique, personnalisées pour l'utilisateur connecté
+router.get('/predictions/spot/:spotId', requireUser, strictRateLimiter, async (req, res) => {
   try {
     const { collectContext } = require('../services/collector');
     const { getBestWindows } = require('../services/recommender');
 
     const { spotId } = req.params;
-    const userId = req.query.userId;
+    const userId = req.user.id;
     const days = parseInt(req.query.days) || 5;
-    if (!userId) return res.status(400).json({ success: false, error: 'userId requis' });
 
     const ctx = await collectContext(spotId, userId, days);
-    const result = getBestWindows(ctx, 10);
+    const result = getBestWindows({ ...ctx, level: levelOverride(req) }, 10);
 
     res.json({ success: true, ...result });
   } catch (error) {
@@ -467,96 +640,27 @@ router.get('/predictions/spot/:spotId', async (req, res) => {
   }
 });
 
-// GET /api/v1/weather/current?lat=X&lng=Y
-router.get('/weather/current', async (req, res) => {
-  try {
-    const lat = parseFloat(req.query.lat);
-    const lng = parseFloat(req.query.lng);
-    if (isNaN(lat) || isNaN(lng)) {
-      return res.status(400).json({ success: false, error: 'lat et lng requis' });
-    }
-
-    const stormglassService = require('../services/stormglassService');
-    const shomService = require('../services/shomService');
-
-    const weatherData = await stormglassService.getForecast(lat, lng, 1);
-
-    const nowSec = Date.now() / 1000;
-    const current = weatherData.forecast && (
-      weatherData.forecast.find(p => p.timestamp >= nowSec) || weatherData.forecast[0]
-    );
-
-    const degreesToCompass = (deg) => {
-      if (deg == null) return '';
-      const dirs = ['N','NNE','NE','ENE','E','ESE','SE','SSE','S','SSW','SW','WSW','W','WNW','NW','NNW'];
-      return dirs[Math.round(deg / 22.5) % 16];
-    };
-
-    // Marée — port le plus proche selon longitude
-    const shomPort = lng < -1.8 ? 'CPB' : 'BIA'; // Hossegor/Capbreton vs Biarritz/Anglet
-    const today = new Date();
-    const dateStr = today.toISOString().split('T')[0];
-    const nowHour = today.getHours();
-    let nextTide = null;
-    try {
-      const tideData = await shomService.getTideData('home_geo', shomPort, dateStr);
-      if (tideData) {
-        const upcoming = tideData.filter(p => p.hour > nowHour && (p.phase === 'high' || p.phase === 'low'));
-        if (upcoming.length > 0) {
-          const next = upcoming[0];
-          nextTide = {
-            phase: next.phase,
-            hour: next.hour,
-            label: (next.phase === 'high' ? '⬆' : '⬇') + ' ' + String(next.hour).padStart(2, '0') + 'h'
-          };
-        }
-      }
-    } catch (e) { /* fallback silencieux */ }
-
-    // Météo atmosphérique via Open-Meteo (température air + conditions)
-    let airTempOM = null;
-    let weatherCode = null;
-    try {
-      const axios = require('axios');
-      const omRes = await axios.get('https://api.open-meteo.com/v1/forecast', {
-        params: { latitude: lat, longitude: lng, current: 'temperature_2m,weather_code' },
-        timeout: 5000,
-      });
-      airTempOM = omRes.data?.current?.temperature_2m ?? null;
-      weatherCode = omRes.data?.current?.weather_code ?? null;
-    } catch (e) { /* fallback silencieux */ }
-
-    const airTemp = current?.airTemp ?? airTempOM;
+// ─── NOTIFICATIONS / EMAIL PREDICTIONS ──────────────────
 
-    res.json({
-      success: true,
-      lat, lng,
-      weather: current ? {
-        waveHeight:    current.waveHeight,
-        windSpeed:     current.windSpeed,
-        windDirection: degreesToCompass(current.windDirection),
-        wavePeriod:    current.wavePeriod,
-        waterTemp:     current.waterTemp != null ? current.waterTemp : null,
-        airTemp:       airTemp != null ? Math.round(airTemp) : null,
-        weatherCode:   weatherCode,
-        nextTide,
-      } : null
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// Tâches planifiées : x-cron-secret ou Authorization Bearer (cron Vercel)
+function isCronAuthorized(req) {
+  const cronSecret = req.headers['x-cron-secret']
+    || (req.headers['authorization'] || '').replace('Bearer ', '');
+  return !!cronSecret && cronSecret === process.env.CRON_SECRET;
+}
 
-// ─── NOTIFICATIONS / EMAIL PREDICTIONS ──────────────────
+// Les appels amont des tâches planifiées passent après les requêtes interactives
+// dans le budget journalier Stormglass (voir services/apiBudget)
+function asCronJob(handler) {
+  return (req, res) => require('../services/apiBudget').withPriority('cron', () => handler(req, res));
+}
 
 // POST/GET /api/v1/notifications/send-predictions
 // Protected by x-cron-secret header or Vercel cron Authorization header
 async function handleSendPredictions(req, res) {
   try {
     // Auth: verify cron secret (x-cron-secret header or Vercel Authorization Bearer)
-    const cronSecret = req.headers['x-cron-secret']
-      || (req.headers['authorization'] || '').replace('Bearer ', '');
-    if (!cronSecret || cronSecret !== process.env.CRON_SECRET) {
+    if (!isCronAuthorized(req)) {
       return res.status(401).json({ success: false, error: 'Unauthorized' });
     }
 
@@ -681,7 +785,200 @@ async function handleSendPredictions(req, res) {
     res.status(500).json({ success: false, error: error.message });
   }
 }
-router.post('/notifications/send-predictions', handleSendPredictions);
-router.get('/notifications/send-predictions', handleSendPredictions);
+router.post('/notifications/send-predictions', asCronJob(handleSendPredictions));
+router.get('/notifications/send-predictions', asCronJob(handleSendPredictions));
+
+// ─── CALIBRATION DES POIDS DU SCORE ─────────────────────
+
+// POST/GET /api/v1/calibration/run[?userId=X]
+// Recalcule profiles.scoring_weights à partir des sessions notées (tous les profils éligibles ou un seul)
+// Protégé comme le cron des prédictions (x-cron-secret ou Authorization Bearer Vercel)
+async function handleRunCalibration(req, res) {
+  try {
+    if (!isCronAuthorized(req)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { runCalibration } = require('../services/calibration');
+    const userId = req.query.userId || req.body?.userId || null;
+    const results = await runCalibration({ userId });
+
+    res.json({
+      success: true,
+      calibrated: results.filter(r => !r.error).length,
+      learned: results.filter(r => r.improved).length,
+      results,
+    });
+  } catch (error) {
+    console.error('Erreur calibration/run:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+router.post('/calibration/run', handleRunCalibration);
+router.get('/calibration/run', handleRunCalibration);
+
+// ─── RATTRAPAGE MÉTÉO DES SESSIONS ──────────────────────
+
+// POST/GET /api/v1/sessions/backfill-meteo[?limit=50&userId=X]
+// Complète les sessions enregistrées sans météo (historique + marée) et régénère leur snapshot
+async function handleBackfillMeteo(req, res) {
+  try {
+    if (!isCronAuthorized(req)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { backfillMissingMeteo } = require('../services/sessionMeteo');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const userId = req.query.userId || req.body?.userId || null;
+    const report = await backfillMissingMeteo({ limit, userId });
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Erreur sessions/backfill-meteo:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+router.post('/sessions/backfill-meteo', asCronJob(handleBackfillMeteo));
+router.get('/sessions/backfill-meteo', asCronJob(handleBackfillMeteo));
+
+// ─── PRÉVISION VS RÉALITÉ ───────────────────────────────
+
+// GET /api/v1/reports/forecast-bias/spots[?spotId=X&limit=500] (clé admin)
+// Biais score prévu / note réelle et taille prévue / ressentie par spot et secteur de houle,
+// sur les `limit` sessions prédites les plus récentes (1000 au plus)
+// Admin : filtré sur un spot peu fréquenté, le rapport expose les écarts de surfeurs identifiables
+router.get('/reports/forecast-bias/spots', requireApiKey('admin'), lightRateLimiter, async (req, res) => {
+  try {
+    const db = require('../services/supabaseService');
+    const { spotBiasReport } = require('../services/forecastFeedback');
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 500));
+    const sessions = await db.getSessionsWithPrediction({ spotId: req.query.spotId || null, limit });
+    const spots = spotBiasReport(sessions);
+    res.json({ success: true, spots, count: spots.length, sessionsScanned: sessions.length, limit });
+  } catch (error) {
+    console.error('Erreur reports/forecast-bias/spots:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/v1/reports/forecast-bias/user → biais de l'utilisateur connecté
+router.get('/reports/forecast-bias/user', requireUser, async (req, res) => {
+  try {
+    const db = require('../services/supabaseService');
+    const { userBiasReport, spotBiasReport } = require('../services/forecastFeedback');
+    const sessions = await db.getSessionsWithPrediction({ userId: req.user.id });
+    res.json({ success: true, report: userBiasReport(sessions), spots: spotBiasReport(sessions) });
+  } catch (error) {
+    console.error('Erreur reports/forecast-bias/user:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST/GET /api/v1/reports/forecast-bias/apply-size-factors[?spotId=X&dryRun=1]
+// Corrige spots.size_factor d'après la taille ressentie des sessions (tâche planifiée)
+async function handleApplySizeFactors(req, res) {
+  try {
+    if (!isCronAuthorized(req)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { applySizeFactorFeedback } = require('../services/forecastFeedback');
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+    const result = await applySizeFactorFeedback({ spotId: req.query.spotId || null, dryRun });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Erreur reports/forecast-bias/apply-size-factors:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+router.post('/reports/forecast-bias/apply-size-factors', handleApplySizeFactors);
+router.get('/reports/forecast-bias/apply-size-factors', handleApplySizeFactors);
+
+// ─── CLÉS API (ADMIN) ───────────────────────────────────
+// Réservé aux clés de scope admin (dont la clé d'amorçage API_KEY_HASH)
+// La clé en clair n'est renvoyée qu'à la création et à la rotation
+
+const { SCOPES } = require('../services/apiKeys');
+
+const apiKeyValidators = [
+  body('owner').isString().trim().isLength({ min: 1, max: 100 }).withMessage('owner requis'),
+  body('name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('name invalide'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes requis (tableau)'),
+  body('scopes.*').isIn(SCOPES).withMessage(`Scope invalide (${SCOPES.join(', ')})`),
+  body('delegatedUsers').optional({ nullable: true }).isArray().withMessage('delegatedUsers invalide (tableau)'),
+  body('delegatedUsers.*').isUUID().withMessage('delegatedUsers : identifiants utilisateur (UUID) attendus'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt invalide (ISO 8601)'),
+];
+
+// GET /api/v1/admin/api-keys[?owner=X]
+router.get('/admin/api-keys', requireApiKey('admin'), async (req, res) => {
+  try {
+    const db = require('../services/supabaseService');
+    const keys = await db.listApiKeys(req.query.owner || null);
+    res.json({ success: true, keys, count: keys.length });
+  } catch (error) {
+    console.error('Erreur admin/api-keys:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/admin/api-keys { owner, name?, scopes: [...], delegatedUsers?: [userId], expiresAt? }
+router.post('/admin/api-keys', requireApiKey('admin'), apiKeyValidators, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  try {
+    const { createApiKey } = require('../services/apiKeys');
+    const { owner, name, scopes, delegatedUsers, expiresAt } = req.body;
+    const { key, apiKey } = await createApiKey({ owner, name, scopes, delegatedUsers: delegatedUsers || [], expiresAt });
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    console.error('Erreur création clé API:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/admin/api-keys/:id/revoke
+router.post('/admin/api-keys/:id/revoke', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { revokeApiKey } = require('../services/apiKeys');
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) return res.status(404).json({ success: false, error: 'Clé API introuvable' });
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('Erreur révocation clé API:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/admin/api-keys/:id/rotate { graceMinutes? }
+// Nouvelle clé aux mêmes propriétaire et scopes ; l'ancienne est révoquée, ou expire après graceMinutes
+router.post('/admin/api-keys/:id/rotate', requireApiKey('admin'), [
+  body('graceMinutes').optional({ nullable: true }).isInt({ min: 0, max: 10080 }).withMessage('graceMinutes invalide (0-10080)'),
+], async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  try {
+    const { rotateApiKey } = require('../services/apiKeys');
+    const rotated = await rotateApiKey(req.params.id, { graceMinutes: req.body?.graceMinutes ?? 0 });
+    if (!rotated) return res.status(404).json({ success: false, error: 'Clé API introuvable' });
+    res.status(201).json({ success: true, ...rotated });
+  } catch (error) {
+    console.error('Erreur rotation clé API:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ─── BUDGET DES API AMONT (ADMIN) ───────────────────────
+
+// GET /api/v1/admin/usage → appels Stormglass du jour (par priorité), refus, modes dégradés
+router.get('/admin/usage', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { getUsage } = require('../services/apiBudget');
+    const forecastProvider = require('../services/forecastProvider');
+    res.json({ success: true, ...(await getUsage()), chains: forecastProvider.getStatus() });
+  } catch (error) {
+    console.error('Erreur admin/usage:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
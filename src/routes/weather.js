@@ -1,14 +1,20 @@
 // 🌊 Routes météo pour SurfAI
-// Version complète avec vraie API Stormglass
+// Prévisions via la chaîne de fournisseurs (Stormglass, puis Open-Meteo en secours)
 
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
-const stormglassService = require('../services/stormglassService');
+const forecastProvider = require('../services/forecastProvider');
 const predictionService = require('../services/predictionService');
 const smartSessionsService = require('../services/smartSessionsService');
+const scoringEngine = require('../services/scoringEngine');
+const { getNextTideFromExtremes } = require('../services/forecastUtils');
+const { resolveSpot } = require('../services/spotResolver');
+const { findNearestStation } = require('../services/tideStations');
+const { getSpotCommunityProfile } = require('../services/communityProfile');
+const { optionalUser } = require('../middleware/auth');
 
-console.log('🌊 Chargement des routes météo avec Stormglass...');
+console.log(`🌊 Chargement des routes météo (fournisseurs: ${forecastProvider.getChain().join(' → ')})...`);
 
 // 📡 GET /api/v1/weather/forecast
 // Route principale qui remplace l'appel direct à Stormglass
@@ -17,7 +23,7 @@ router.get('/forecast', [
   query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude invalide'),
   query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude invalide'),
   query('days').optional().isInt({ min: 1, max: 7 }).withMessage('Nombre de jours invalide (1-7)'),
-  query('spot_id').optional().isInt().withMessage('ID spot invalide')
+  query('spot_id').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('ID spot invalide')
 ], async (req, res) => {
   try {
     // Validation des entrées
@@ -35,15 +41,20 @@ router.get('/forecast', [
 
     // Utiliser coordonnées du spot ou coordonnées par défaut
     let coordinates = { lat, lng };
-
-    // Si pas de coordonnées mais un spot_id, récupérer les coordonnées du spot
-    // TODO: Implémenter getSpotCoordinates avec Supabase
-    if (spot_id && !lat && !lng) {
-      // Pour l'instant, coordonnées par défaut
-      coordinates = {
-        lat: process.env.DEFAULT_LAT || 43.4832,
-        lng: process.env.DEFAULT_LNG || -1.5586
-      };
+    let spot = null;
+
+    // Si un spot_id est fourni, récupérer le spot (coordonnées + conditions idéales)
+    if (spot_id) {
+      spot = await resolveSpot(spot_id);
+      if (!spot) {
+        return res.status(404).json({
+          error: 'Spot introuvable',
+          message: `Aucun spot ne correspond à "${spot_id}"`
+        });
+      }
+      if (!lat && !lng) {
+        coordinates = { lat: spot.lat, lng: spot.lng };
+      }
     }
 
     // Coordonnées par défaut si rien fourni
@@ -54,17 +65,18 @@ router.get('/forecast', [
       };
     }
 
-    // Appel à l'API Stormglass réelle
-    const forecastData = await stormglassService.getForecast(
+    // Appel au premier fournisseur disponible de la chaîne
+    const forecastData = await forecastProvider.getForecast(
       coordinates.lat,
       coordinates.lng,
       parseInt(days)
     );
 
-    // Enrichir avec l'intelligence prédictive
+    // Enrichir avec l'intelligence prédictive (+ conditions idéales du spot si connu)
     const enrichedData = await predictionService.processForecastData(
       forecastData,
-      req.query.user_level || 'intermediate'
+      req.query.user_level || 'intermediate',
+      spot
     );
 
     // Ajouter statistiques et meilleures sessions
@@ -88,60 +100,131 @@ router.get('/forecast', [
 });
 
 // 🎯 POST /api/v1/weather/quality-prediction
-// Prédit la qualité d'une session selon les conditions
-router.post('/quality-prediction', async (req, res) => {
-  try {
-    console.log('🎯 Requête prédiction qualité reçue');
-
-    const { wave_height, wind_speed, wind_direction, user_level } = req.body;
+// Prédit la qualité d'une session selon les conditions, via le moteur de score unique
+// Corps : wave_height, wind_speed (km/h) requis ; wave_period, wave_direction, swell_*,
+// wind_direction (° ou cardinal), tide_phase, tide_level, tide_height, tide_coefficient, time
+// optionnels ; spotId (id, nom ou slug). Avec un jeton Supabase (Authorization: Bearer),
+// le score est personnalisé pour l'utilisateur connecté (profil, sessions, boards)
+const CARDINALS = ['N','NNE','NE','ENE','E','ESE','SE','SSE','S','SSW','SW','WSW','W','WNW','NW','NNW'];
+
+function parseDirection(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const index = CARDINALS.indexOf(String(value).toUpperCase());
+  if (index >= 0) return index * 22.5;
+  const deg = parseFloat(value);
+  return isNaN(deg) ? null : ((deg % 360) + 360) % 360;
+}
 
-    // Validation basique
-    if (!wave_height || !wind_speed) {
+const isDirection = value => value === undefined || value === null || value === '' || parseDirection(value) !== null;
+const toNumber = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+router.post('/quality-prediction', optionalUser, [
+  body('wave_height').exists({ checkNull: true }).withMessage('wave_height est requis')
+    .bail().isFloat({ min: 0, max: 30 }).withMessage('wave_height invalide (0-30 m)'),
+  body('wind_speed').exists({ checkNull: true }).withMessage('wind_speed est requis')
+    .bail().isFloat({ min: 0, max: 250 }).withMessage('wind_speed invalide (0-250 km/h)'),
+  body(['wave_period', 'swell_period']).optional({ nullable: true }).isFloat({ min: 0, max: 30 }).withMessage('Période invalide (0-30 s)'),
+  body('swell_height').optional({ nullable: true }).isFloat({ min: 0, max: 30 }).withMessage('swell_height invalide (0-30 m)'),
+  body(['wind_direction', 'wave_direction', 'swell_direction']).custom(isDirection).withMessage('Direction invalide (degrés ou cardinal)'),
+  body('tide_phase').optional({ nullable: true }).isIn(['low', 'high', 'rising', 'falling']).withMessage('tide_phase invalide'),
+  body('tide_level').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('tide_level invalide (0-1)'),
+  body('tide_height').optional({ nullable: true }).isFloat().withMessage('tide_height invalide'),
+  body('tide_coefficient').optional({ nullable: true }).isInt({ min: 20, max: 120 }).withMessage('tide_coefficient invalide (20-120)'),
+  body('time').optional({ nullable: true }).isISO8601().withMessage('time invalide (ISO 8601)'),
+  body('user_level').optional().isIn(['beginner', 'intermediate', 'advanced', 'expert']).withMessage('Niveau invalide'),
+  body('spotId').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Identifiant invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Paramètres manquants',
-        message: 'wave_height et wind_speed sont requis'
+        error: 'Paramètres invalides',
+        details: errors.array()
       });
     }
 
-    // Calcul simple de qualité (on améliorera dans la partie suivante)
-    let score = 1;
+    console.log('🎯 Requête prédiction qualité reçue');
 
-    // Score selon hauteur de vagues
-    if (wave_height >= 1 && wave_height <= 2.5) {
-      score += 2;
-    } else if (wave_height >= 0.8 && wave_height <= 3) {
-      score += 1;
+    // user_level surcharge le niveau du profil quand il est fourni
+    const { user_level, spotId } = req.body;
+    const userId = req.user?.id || null;
+
+    let spot = null;
+    if (spotId) {
+      spot = await resolveSpot(spotId);
+      if (!spot) {
+        return res.status(404).json({
+          error: 'Spot introuvable',
+          message: `Aucun spot ne correspond à "${spotId}"`
+        });
+      }
     }
 
-    // Score selon vent
-    if (wind_speed < 15) {
-      score += 2;
-    } else if (wind_speed < 25) {
-      score += 1;
+    // Profil, sessions notées et boards de l'utilisateur → score personnalisé
+    let profile = null;
+    let pastSessions = [];
+    let boards = [];
+    if (userId) {
+      const db = require('../services/supabaseService');
+      [profile, pastSessions, boards] = await Promise.all([
+        db.getProfile(userId),
+        db.getSessionsWithMeteo(userId),
+        db.getBoards(userId),
+      ]);
     }
 
-    const prediction = {
+    const time = req.body.time ? new Date(req.body.time) : new Date();
+    const slot = {
+      time: time.toISOString(),
+      timestamp: Math.floor(time.getTime() / 1000),
+      waveHeight: toNumber(req.body.wave_height),
+      wavePeriod: toNumber(req.body.wave_period),
+      waveDirection: parseDirection(req.body.wave_direction),
+      swellHeight: toNumber(req.body.swell_height),
+      swellPeriod: toNumber(req.body.swell_period),
+      swellDirection: parseDirection(req.body.swell_direction),
+      windSpeed: toNumber(req.body.wind_speed),
+      windDirection: parseDirection(req.body.wind_direction),
+      tidePhase: req.body.tide_phase || null,
+      tideLevel: toNumber(req.body.tide_level),
+      tideHeight: toNumber(req.body.tide_height),
+      tideCoefficient: toNumber(req.body.tide_coefficient),
+      spotId: spot?.id ?? null,
+    };
+
+    const communityProfile = spot ? await getSpotCommunityProfile(spot.id) : null;
+    const scoring = scoringEngine.scoreConditions(slot, {
+      profile,
+      level: user_level || null,
+      spot,
+      pastSessions: pastSessions || [],
+      boards: boards || [],
+      communityProfile,
+    });
+
+    res.json({
       success: true,
       prediction: {
-        score: Math.min(5, score),
-        rating: score >= 4 ? 'Excellent' : score >= 3 ? 'Bon' : 'Moyen',
-        confidence: 0.85,
-        factors: {
-          wave_height: wave_height,
-          wind_speed: wind_speed,
-          wind_direction: wind_direction || 'N/A'
-        },
-        recommendations: score >= 4 ?
-          '🏄‍♂️ Conditions excellentes ! Foncez !' :
-          '🤔 Conditions moyennes, restez prudent'
+        schemaVersion: scoring.schemaVersion,
+        score: scoring.score,
+        label: scoring.label,
+        confidence: scoring.confidence,
+        factors: scoring.factors,
+        whyGood: scoring.whyGood,
+        whyNotPerfect: scoring.whyNotPerfect,
+        boardSuggestion: scoring.boardSuggestion,
+        similarSession: scoring.similarSession,
+        // Échelle historique 1-5
+        legacy: scoring.legacy
       },
       meta: {
-        user_level: user_level || 'intermediate',
+        user_level: scoring.level,
+        spot: spot ? { id: spot.id, name: spot.name } : null,
+        personalized: !!profile,
+        basedOnSessions: (pastSessions || []).length,
         calculation_time: new Date().toISOString()
       }
-    };
-
-    res.json(prediction);
+    });
 
   } catch (error) {
     console.error('❌ Erreur prédiction qualité:', error);
@@ -181,7 +264,7 @@ router.get('/smart-slots', [
     };
 
     // Récupérer les prévisions météo
-    const forecastData = await stormglassService.getForecast(
+    const forecastData = await forecastProvider.getForecast(
       coordinates.lat,
       coordinates.lng,
       parseInt(days)
@@ -231,12 +314,14 @@ router.get('/test', async (req, res) => {
         test: 'GET /api/v1/weather/test',
         stormglassTest: 'GET /api/v1/weather/test-stormglass'
       },
-      stormglass_configured: !!process.env.STORMGLASS_API_KEY
+      stormglass_configured: !!process.env.STORMGLASS_API_KEY,
+      providers: forecastProvider.getStatus()
     };
 
     // Si la clé Stormglass est configurée, tester la connexion
     if (process.env.STORMGLASS_API_KEY) {
       console.log('🧪 Test connexion Stormglass...');
+      const stormglassService = require('../services/stormglassService');
       const stormglassTest = await stormglassService.testConnection();
       basicTest.stormglass_test = stormglassTest;
     }
@@ -263,6 +348,7 @@ router.get('/test-stormglass', async (req, res) => {
     }
 
     console.log('🧪 Test complet Stormglass...');
+    const stormglassService = require('../services/stormglassService');
     const testResult = await stormglassService.testConnection();
 
     res.json({
@@ -345,7 +431,7 @@ router.get('/current', async (req, res) => {
       return res.status(400).json({ success: false, error: 'lat et lng requis' });
     }
 
-    const weatherData = await stormglassService.getForecast(lat, lng, 2);
+    const weatherData = await forecastProvider.getForecast(lat, lng, 2);
     const nowSec = Date.now() / 1000;
     const current = weatherData.forecast && (
       weatherData.forecast.find(p => p.timestamp >= nowSec) || weatherData.forecast[0]
@@ -357,9 +443,10 @@ router.get('/current', async (req, res) => {
       return dirs[Math.round(deg / 22.5) % 16];
     };
 
-    // Marée via endpoint dédié Stormglass
-    const tideExtremes = await stormglassService.getTideExtremes(lat, lng, 2);
-    const nextTide = stormglassService.getNextTideFromExtremes(tideExtremes, nowSec);
+    // Marée via le premier fournisseur qui expose les extrêmes ; station de référence la plus proche
+    const tideExtremes = await forecastProvider.getTideExtremes(lat, lng, 2);
+    const nextTide = getNextTideFromExtremes(tideExtremes, nowSec);
+    const station = findNearestStation(lat, lng);
 
     // Météo atmosphérique via Open-Meteo (température air + conditions)
     let airTempOM = null;
@@ -389,6 +476,7 @@ router.get('/current', async (req, res) => {
         tideHeight:    current.tideHeight,
         tidePhase:     current.tidePhase,
         nextTide,
+        tideStation:   station ? { code: station.code, name: station.name, distanceKm: station.distanceKm } : null,
       } : null
     });
   } catch (error) {
@@ -0,0 +1,208 @@
+// 💸 Budget des API amont SurfAI — Stormglass est facturé à l'appel
+// Chaque appel amont réserve une unité du budget journalier (jour UTC, comme le quota Stormglass).
+// Priorités : les requêtes interactives (un surfeur attend) peuvent consommer tout le budget,
+// les tâches planifiées (cron) s'arrêtent avant la part réservée à l'interactif.
+// Budget épuisé : le fournisseur sert son cache même expiré, sinon la chaîne passe au suivant.
+// Compteurs partagés dans Redis quand REDIS_URL est défini, sinon en mémoire (par instance).
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getRedisClient, isRedisConfigured } = require('./redisClient');
+
+const PRIORITIES = ['interactive', 'cron'];
+
+// Budgets configurables par fournisseur : <FOURNISSEUR>_DAILY_BUDGET (appels / jour)
+// et <FOURNISSEUR>_INTERACTIVE_RESERVE (part du budget interdite aux crons, 0-1)
+const DEFAULT_BUDGETS = {
+  stormglass: { dailyCap: 50, interactiveReserve: 0.3 },
+};
+
+const priorityContext = new AsyncLocalStorage();
+const memoryCounters = new Map();
+
+function budgetConfig(provider) {
+  const defaults = DEFAULT_BUDGETS[provider];
+  if (!defaults) return null;
+  const prefix = provider.toUpperCase();
+  const dailyCap = parseInt(process.env[`${prefix}_DAILY_BUDGET`]);
+  const reserve = parseFloat(process.env[`${prefix}_INTERACTIVE_RESERVE`]);
+  const config = {
+    dailyCap: dailyCap >= 0 ? dailyCap : defaults.dailyCap,
+    interactiveReserve: reserve >= 0 && reserve <= 1 ? reserve : defaults.interactiveReserve,
+  };
+  config.cronCap = Math.floor(config.dailyCap * (1 - config.interactiveReserve));
+  return config;
+}
+
+// ─── Priorité de l'appel en cours ───────────────────────
+// withPriority('cron', fn) : tous les appels amont faits pendant fn (même en asynchrone)
+// sont comptés comme cron ; sans contexte, un appel est interactif
+function withPriority(priority, fn) {
+  return priorityContext.run(PRIORITIES.includes(priority) ? priority : 'interactive', fn);
+}
+
+function currentPriority() {
+  return priorityContext.getStore() || 'interactive';
+}
+
+// ─── Compteurs journaliers ──────────────────────────────
+function dayKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+function counterKey(provider, day = dayKey()) {
+  return `surfai:budget:${provider}:${day}`;
+}
+
+function memoryHash(key) {
+  if (!memoryCounters.has(key)) {
+    // Seul le jour courant est conservé
+    const today = dayKey();
+    [...memoryCounters.keys()].forEach(k => { if (!k.endsWith(today)) memoryCounters.delete(k); });
+    memoryCounters.set(key, {});
+  }
+  return memoryCounters.get(key);
+}
+
+async function incrementField(provider, field, by = 1) {
+  const key = counterKey(provider);
+  if (isRedisConfigured()) {
+    try {
+      const client = await getRedisClient();
+      const [value] = await client.multi().hIncrBy(key, field, by).expire(key, 2 * 86400).exec();
+      return value;
+    } catch (e) {
+      console.warn(`⚠️ Budget ${provider}: Redis indisponible, compteur mémoire (${e.message})`);
+    }
+  }
+  const hash = memoryHash(key);
+  hash[field] = (hash[field] || 0) + by;
+  return hash[field];
+}
+
+async function setField(provider, field, value) {
+  const key = counterKey(provider);
+  if (isRedisConfigured()) {
+    try {
+      const client = await getRedisClient();
+      await client.multi().hSet(key, field, String(value)).expire(key, 2 * 86400).exec();
+      return;
+    } catch (e) {
+      console.warn(`⚠️ Budget ${provider}: Redis indisponible, compteur mémoire (${e.message})`);
+    }
+  }
+  memoryHash(key)[field] = value;
+}
+
+async function readCounters(provider, day = dayKey()) {
+  const key = counterKey(provider, day);
+  let raw = null;
+  if (isRedisConfigured()) {
+    try {
+      const client = await getRedisClient();
+      raw = await client.hGetAll(key);
+    } catch (e) { /* lecture mémoire */ }
+  }
+  raw = raw || memoryCounters.get(key) || {};
+  return Object.fromEntries(Object.entries(raw).map(([field, value]) => [field, parseInt(value) || 0]));
+}
+
+// Appels consommés : notre compteur, ou celui du fournisseur s'il en a vu davantage
+// (autres instances sans Redis, appels hors SurfAI sur la même clé)
+function usedCalls(counters) {
+  return Math.max(counters.total || 0, counters.upstream || 0);
+}
+
+// ─── Réservation ────────────────────────────────────────
+// À appeler juste avant un appel amont facturé. Retourne { allowed, priority, used, limit }
+// Un fournisseur sans budget configuré est toujours autorisé.
+async function reserve(provider) {
+  const config = budgetConfig(provider);
+  const priority = currentPriority();
+  if (!config) return { allowed: true, priority, used: null, limit: null };
+
+  const limit = priority === 'cron' ? config.cronCap : config.dailyCap;
+  const counters = await readCounters(provider);
+  if (counters.exhausted) {
+    await incrementField(provider, `refused_${priority}`);
+    return { allowed: false, priority, used: usedCalls(counters), limit, reason: 'quota fournisseur épuisé' };
+  }
+
+  // Incrément d'abord puis vérification : deux requêtes simultanées ne passent pas toutes les deux
+  const total = await incrementField(provider, 'total');
+  const used = Math.max(total, (counters.upstream || 0) + 1);
+  if (used > limit) {
+    await incrementField(provider, 'total', -1);
+    await incrementField(provider, `refused_${priority}`);
+    console.warn(`💸 Budget ${provider} atteint pour ${priority} (${used - 1}/${limit})`);
+    return { allowed: false, priority, used: used - 1, limit, reason: 'budget journalier atteint' };
+  }
+
+  await incrementField(provider, priority);
+  return { allowed: true, priority, used, limit };
+}
+
+// Erreur levée quand le budget refuse l'appel et qu'aucun cache ne peut servir :
+// la chaîne de fournisseurs passe au suivant (sans mise en pause du fournisseur)
+function budgetError(provider, reservation) {
+  const error = new Error(`Budget ${provider} épuisé pour aujourd'hui (${reservation.reason}, ${reservation.used}/${reservation.limit} appels, priorité ${reservation.priority})`);
+  error.code = 'BUDGET_EXHAUSTED';
+  error.provider = provider;
+  return error;
+}
+
+// Réponse servie en mode dégradé : 'cache' (cache expiré) ou 'fallback' (fournisseur suivant)
+async function recordDegraded(provider, mode) {
+  if (!budgetConfig(provider)) return;
+  await incrementField(provider, `degraded_${mode}`);
+}
+
+// Compteur du fournisseur (Stormglass renvoie meta.requestCount / meta.dailyQuota)
+async function syncUpstream(provider, meta) {
+  if (!budgetConfig(provider) || meta?.requestCount == null) return;
+  await setField(provider, 'upstream', parseInt(meta.requestCount) || 0);
+  if (meta.dailyQuota != null) await setField(provider, 'upstreamQuota', parseInt(meta.dailyQuota) || 0);
+}
+
+// Quota du jour épuisé côté fournisseur (402, ou requestCount ≥ dailyQuota) : plus aucun appel aujourd'hui
+async function markExhausted(provider) {
+  if (!budgetConfig(provider)) return;
+  await setField(provider, 'exhausted', 1);
+}
+
+// ─── Consommation (admin) ───────────────────────────────
+async function getUsage() {
+  const providers = {};
+  for (const provider of Object.keys(DEFAULT_BUDGETS)) {
+    const config = budgetConfig(provider);
+    const counters = await readCounters(provider);
+    const used = usedCalls(counters);
+    providers[provider] = {
+      ...config,
+      used,
+      remaining: Math.max(0, config.dailyCap - used),
+      remainingForCron: Math.max(0, config.cronCap - used),
+      exhausted: !!counters.exhausted || used >= config.dailyCap,
+      calls: { interactive: counters.interactive || 0, cron: counters.cron || 0 },
+      refused: { interactive: counters.refused_interactive || 0, cron: counters.refused_cron || 0 },
+      degraded: { cache: counters.degraded_cache || 0, fallback: counters.degraded_fallback || 0 },
+      upstream: counters.upstream != null ? { requestCount: counters.upstream, dailyQuota: counters.upstreamQuota ?? null } : null,
+    };
+  }
+  return {
+    day: dayKey(),
+    resetsAt: `${dayKey(new Date(Date.now() + 86400000))}T00:00:00.000Z`,
+    store: isRedisConfigured() ? 'redis' : 'memory',
+    providers,
+  };
+}
+
+module.exports = {
+  withPriority,
+  currentPriority,
+  reserve,
+  budgetError,
+  recordDegraded,
+  syncUpstream,
+  markExhausted,
+  getUsage,
+};
@@ -0,0 +1,188 @@
+// 🔑 Clés API SurfAI — une clé par client (app partenaire, widget, outil interne)
+// La clé n'est montrée qu'une fois, à la création ; seul son hash sha256 est stocké (api_keys.key_hash).
+// Chaque clé a un propriétaire, des scopes, une expiration optionnelle et une date de dernière utilisation.
+// delegated_users : surfeurs pour lesquels une clé write-sessions peut écrire sans leur jeton.
+// API_KEY_HASH (env) : hash d'une clé d'amorçage admin, pour créer les premières clés sans base.
+
+const crypto = require('crypto');
+
+const SCOPES = ['read-forecast', 'write-sessions', 'admin'];
+const KEY_PREFIX = 'sk_surfai_';
+// Rotation : délai (min) pendant lequel l'ancienne clé reste valide, le temps de déployer
+// la nouvelle ; 0 = révoquée aussitôt
+const DEFAULT_ROTATION_GRACE_MIN = 0;
+const MAX_ROTATION_GRACE_MIN = 7 * 24 * 60;
+// Clés déjà vérifiées (positives ou non) : évite une requête Supabase par appel
+const KEY_CACHE_MS = 60 * 1000;
+// last_used_at n'est réécrit qu'au plus une fois par intervalle
+const LAST_USED_WRITE_MS = 5 * 60 * 1000;
+
+const keyCache = new Map();
+const lastUsedWrites = new Map();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Comparaison à temps constant de deux hash hex
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// admin vaut tous les scopes
+function hasScope(apiKey, scope) {
+  const scopes = apiKey?.scopes || [];
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+function isActive(record, now = Date.now()) {
+  if (!record || record.revoked_at) return false;
+  return !record.expires_at || new Date(record.expires_at).getTime() > now;
+}
+
+// Clé d'amorçage : hash fourni par l'environnement, scope admin
+function bootstrapKey(keyHash) {
+  const expected = (process.env.API_KEY_HASH || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(expected) || !sameHash(keyHash, expected)) return null;
+  return { id: 'bootstrap', owner: 'bootstrap', name: 'Clé d\'amorçage (API_KEY_HASH)', scopes: ['admin'], delegated_users: [], expires_at: null };
+}
+
+function touchLastUsed(record) {
+  const last = lastUsedWrites.get(record.id) || 0;
+  if (Date.now() - last < LAST_USED_WRITE_MS) return;
+  lastUsedWrites.set(record.id, Date.now());
+
+  const db = require('./supabaseService');
+  db.updateApiKey(record.id, { last_used_at: new Date().toISOString() })
+    .catch(e => console.warn('⚠️ last_used_at clé API non mis à jour:', e.message));
+}
+
+// Clé en clair → { id, owner, name, scopes, delegated_users, expires_at } si valide, sinon null
+async function verifyApiKey(key) {
+  if (!key || typeof key !== 'string') return null;
+  const keyHash = hashKey(key);
+
+  const bootstrap = bootstrapKey(keyHash);
+  if (bootstrap) return bootstrap;
+
+  let record;
+  const cached = keyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    record = cached.record;
+  } else {
+    const db = require('./supabaseService');
+    record = await db.getApiKeyByHash(keyHash);
+    if (keyCache.size > 1000) keyCache.clear();
+    keyCache.set(keyHash, { record, expiresAt: Date.now() + KEY_CACHE_MS });
+  }
+
+  if (!isActive(record)) return null;
+  touchLastUsed(record);
+  return {
+    id: record.id,
+    owner: record.owner,
+    name: record.name,
+    scopes: record.scopes || [],
+    delegated_users: record.delegated_users || [],
+    expires_at: record.expires_at,
+  };
+}
+
+// ─── Administration ─────────────────────────────────────
+
+function normalizeScopes(scopes) {
+  const list = [...new Set(Array.isArray(scopes) ? scopes : [scopes])].filter(Boolean);
+  const unknown = list.filter(s => !SCOPES.includes(s));
+  if (!list.length || unknown.length) {
+    throw new Error(`Scopes invalides: ${unknown.join(', ') || '(aucun)'} — attendus: ${SCOPES.join(', ')}`);
+  }
+  return list;
+}
+
+function normalizeDelegatedUsers(userIds) {
+  const list = [...new Set(Array.isArray(userIds) ? userIds : [userIds])].filter(Boolean);
+  if (list.some(id => typeof id !== 'string')) throw new Error('delegatedUsers invalides (identifiants attendus)');
+  return list;
+}
+
+// Retourne { key, apiKey } : key (en clair) n'est plus jamais récupérable ensuite
+async function createApiKey({ owner, name = null, scopes, delegatedUsers = [], expiresAt = null, rotatedFrom = null }) {
+  if (!owner) throw new Error('owner requis');
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && (isNaN(expires.getTime()) || expires.getTime() <= Date.now())) {
+    throw new Error('expiresAt doit être une date future');
+  }
+
+  const db = require('./supabaseService');
+  const key = generateKey();
+  const apiKey = await db.createApiKey({
+    owner,
+    name,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 4),
+    scopes: normalizeScopes(scopes),
+    delegated_users: normalizeDelegatedUsers(delegatedUsers),
+    expires_at: expires ? expires.toISOString() : null,
+    rotated_from: rotatedFrom,
+  });
+
+  console.log(`🔑 Clé API créée pour ${owner} (${apiKey.scopes.join(', ')})`);
+  return { key, apiKey };
+}
+
+async function revokeApiKey(keyId) {
+  const db = require('./supabaseService');
+  const existing = await db.getApiKeyById(keyId);
+  if (!existing) return null;
+  if (existing.revoked_at) return existing;
+
+  const apiKey = await db.updateApiKey(keyId, { revoked_at: new Date().toISOString() });
+  // Révocation effective tout de suite sur cette instance
+  keyCache.clear();
+  console.log(`🔑 Clé API ${keyId} (${existing.owner}) révoquée`);
+  return apiKey;
+}
+
+// Nouvelle clé (même propriétaire, scopes, surfeurs délégués et expiration) ; l'ancienne expire après graceMinutes
+async function rotateApiKey(keyId, { graceMinutes = DEFAULT_ROTATION_GRACE_MIN } = {}) {
+  const db = require('./supabaseService');
+  const existing = await db.getApiKeyById(keyId);
+  if (!existing) return null;
+  if (!isActive(existing)) {
+    const inactive = new Error('Clé révoquée ou expirée : créez-en une nouvelle');
+    inactive.status = 409;
+    throw inactive;
+  }
+
+  const grace = Math.min(MAX_ROTATION_GRACE_MIN, Math.max(0, parseInt(graceMinutes) || 0));
+  const created = await createApiKey({
+    owner: existing.owner,
+    name: existing.name,
+    scopes: existing.scopes,
+    delegatedUsers: existing.delegated_users || [],
+    expiresAt: existing.expires_at,
+    rotatedFrom: existing.id,
+  });
+
+  const previous = grace > 0
+    ? await db.updateApiKey(keyId, { expires_at: new Date(Date.now() + grace * 60000).toISOString() })
+    : await db.updateApiKey(keyId, { revoked_at: new Date().toISOString() });
+  keyCache.clear();
+
+  return { ...created, previous };
+}
+
+module.exports = {
+  SCOPES,
+  hashKey,
+  hasScope,
+  verifyApiKey,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+};
@@ -0,0 +1,121 @@
+// 🧪 Backtest SurfAI — rejoue les sessions notées dans le scorer pour mesurer sa justesse
+// Chaque session est scorée avec la météo capturée et l'historique du surfeur privé de cette
+// session (leave-one-out), puis comparée à sa note réelle ramenée sur 10 (rating × 2).
+// Pur calcul : les données (sessions, profils, spots) sont fournies par l'appelant,
+// depuis Supabase ou depuis un fixture JSON.
+
+const { scoreSlot } = require('./scorer');
+const { profileForLevel } = require('./scoringEngine');
+
+// Tranches de score pour la calibration : [min, max[
+const SCORE_BUCKETS = [[0, 2], [2, 4], [4, 6], [6, 8], [8, 10.01]];
+
+function round(value, digits = 2) {
+  if (value == null || isNaN(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0, vx = 0, vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+// Heure de la session (date + time optionnel) en ms
+function sessionTime(session) {
+  const day = String(session.date || '').split('T')[0];
+  const t = session.time ? new Date(`${day}T${session.time}`) : new Date(session.date);
+  return isNaN(t.getTime()) ? Date.now() : t.getTime();
+}
+
+// ─── Rejeu ──────────────────────────────────────────────
+// sessions : lignes sessions (rating + meteo) ; profilesByUser / spotsById : lignes complètes
+// Les poids appris (profiles.scoring_weights) sont retirés par défaut : ils ont été ajustés
+// sur ces mêmes sessions et fausseraient la mesure.
+function replaySessions(sessions, { profilesByUser = {}, spotsById = {}, useLearnedWeights = false } = {}) {
+  const rated = sessions.filter(s => s.rating >= 1 && s.meteo);
+
+  const byUser = {};
+  rated.forEach(s => {
+    (byUser[s.user_id] = byUser[s.user_id] || []).push(s);
+  });
+
+  return rated.map(session => {
+    const stored = profilesByUser[session.user_id];
+    const profile = stored
+      ? (useLearnedWeights ? stored : { ...stored, scoring_weights: null })
+      : profileForLevel('intermediate');
+    const spot = spotsById[session.spot_id] || {};
+    const time = sessionTime(session);
+
+    const result = scoreSlot(
+      { ...session.meteo, spotId: session.spot_id, time: new Date(time).toISOString() },
+      {
+        profile,
+        spot,
+        pastSessions: byUser[session.user_id].filter(s => s !== session),
+        now: time,
+      }
+    );
+
+    return {
+      sessionId: session.id ?? null,
+      userId: session.user_id,
+      spotId: session.spot_id,
+      predicted: result.score,
+      actual: session.rating * 2,
+      level: result.level,
+    };
+  });
+}
+
+// ─── Métriques ──────────────────────────────────────────
+function summarize(results) {
+  const n = results.length;
+  if (n === 0) {
+    return { sessions: 0, correlation: null, mae: null, bias: null, buckets: [] };
+  }
+
+  const predicted = results.map(r => r.predicted);
+  const actual = results.map(r => r.actual);
+  const mae = results.reduce((sum, r) => sum + Math.abs(r.predicted - r.actual), 0) / n;
+  const bias = results.reduce((sum, r) => sum + (r.predicted - r.actual), 0) / n;
+
+  // Calibration : dans chaque tranche de score prédit, note réelle moyenne observée
+  const buckets = SCORE_BUCKETS.map(([min, max]) => {
+    const inBucket = results.filter(r => r.predicted >= min && r.predicted < max);
+    const mean = key => inBucket.length ? inBucket.reduce((sum, r) => sum + r[key], 0) / inBucket.length : null;
+    return {
+      range: `${min}-${Math.floor(max)}`,
+      count: inBucket.length,
+      meanPredicted: round(mean('predicted')),
+      meanActual: round(mean('actual')),
+      gap: inBucket.length ? round(mean('predicted') - mean('actual')) : null,
+    };
+  });
+
+  return {
+    sessions: n,
+    users: new Set(results.map(r => r.userId)).size,
+    correlation: round(pearson(predicted, actual), 3),
+    mae: round(mae),
+    bias: round(bias),
+    buckets,
+  };
+}
+
+function runBacktest(sessions, options = {}) {
+  const results = replaySessions(sessions, options);
+  return { ...summarize(results), results };
+}
+
+module.exports = { runBacktest, replaySessions, summarize, pearson, SCORE_BUCKETS };
@@ -0,0 +1,242 @@
+// 🎚️ Calibration SurfAI — poids du score appris sur les sessions notées de chaque surfeur
+// Le scorer part de poids fixes par niveau ; ici on ajuste, pour un utilisateur, la répartition
+// vent / vagues / période / historique / spot et sa fourchette de taille préférée, à partir de
+// ses sessions avec météo. Le résultat est stocké dans profiles.scoring_weights et n'est utilisé
+// par scoreSlot que s'il repose sur assez de sessions, a été appris pour le niveau demandé et
+// prédit mieux que les poids du niveau sur des sessions laissées hors de l'ajustement.
+
+const {
+  scoreWind,
+  scoreWaves,
+  scorePeriod,
+  scoreHistory,
+  scoreSpot,
+  tideBonus,
+  seaStateBonus,
+  analyzeSeaState,
+  computeWeights,
+  normalizeLevel,
+  BASE_WEIGHTS,
+  MIN_CALIBRATION_SESSIONS,
+} = require('./scorer');
+
+const CALIBRATION_VERSION = 1;
+const FACTORS = Object.keys(BASE_WEIGHTS);
+
+// Aucun facteur ne descend sous 3 % : un petit échantillon ne doit pas en effacer un
+const MIN_FACTOR_WEIGHT = 0.03;
+// Rappel vers les poids du niveau (ridge) : avec 10 sessions, on ne s'en écarte que prudemment
+const PRIOR_STRENGTH = 40;
+const ITERATIONS = 400;
+const LEARNING_RATE = 0.002;
+// Validation croisée : nombre de plis (leave-one-out en deçà de CV_FOLDS sessions)
+const CV_FOLDS = 10;
+
+// ─── Échantillons ───────────────────────────────────────
+// Sessions notées avec météo → facteurs du scorer + note cible sur 10
+function buildSamples(sessions, spotsById = {}) {
+  const rated = sessions.filter(s => s.rating >= 1 && s.meteo);
+  return rated.map(session => {
+    const spot = spotsById[session.spot_id] || session.spots || {};
+    const slot = { ...session.meteo, spotId: session.spot_id };
+    const seaState = analyzeSeaState(slot, spot);
+    // Historique en leave-one-out : la session ne doit pas se prédire elle-même
+    const others = rated.filter(s => s !== session);
+    return {
+      session,
+      slot,
+      spot,
+      seaState,
+      target: session.rating * 2,
+      factors: {
+        wind:    scoreWind(slot.windSpeed, slot.windDirection, spot.ideal_wind, slot.waveDirection, spot.shore_orientation),
+        period:  scorePeriod(seaState.period),
+        history: scoreHistory(slot, others),
+        spot:    scoreSpot(slot, spot),
+      },
+      offset: tideBonus(slot, spot) + seaStateBonus(seaState),
+    };
+  });
+}
+
+// ─── Courbe de taille ───────────────────────────────────
+// Fourchette préférée = moyenne ± écart-type des hauteurs au déferlement des bonnes sessions
+// (4-5/5), pondérées par la note. null si moins de 3 bonnes sessions.
+function fitWavePreference(samples) {
+  const good = samples.filter(s => s.session.rating >= 4 && s.seaState.height > 0);
+  if (good.length < 3) return null;
+
+  const weightOf = s => s.session.rating - 3;
+  const totalWeight = good.reduce((sum, s) => sum + weightOf(s), 0);
+  const mean = good.reduce((sum, s) => sum + s.seaState.height * weightOf(s), 0) / totalWeight;
+  const variance = good.reduce((sum, s) => sum + weightOf(s) * (s.seaState.height - mean) ** 2, 0) / totalWeight;
+  const spread = Math.max(0.3, Math.sqrt(variance));
+
+  return {
+    min: Math.round(Math.max(0.3, mean - spread) * 10) / 10,
+    max: Math.round((mean + spread) * 10) / 10,
+  };
+}
+
+function withWaves(samples, waveProfile) {
+  return samples.map(s => ({
+    ...s,
+    factors: { ...s.factors, waves: scoreWaves(s.seaState.height, waveProfile) },
+  }));
+}
+
+function predict(sample, weights) {
+  const raw = FACTORS.reduce((sum, k) => sum + sample.factors[k] * weights[k], 0) + sample.offset;
+  return Math.min(10, Math.max(0, raw));
+}
+
+// ─── Qualité d'ajustement ───────────────────────────────
+// predictions = [{ predicted, target }]
+function errorMetrics(predictions) {
+  const errors = predictions.map(p => p.predicted - p.target);
+  const mae = errors.reduce((sum, e) => sum + Math.abs(e), 0) / predictions.length;
+  const meanTarget = predictions.reduce((sum, p) => sum + p.target, 0) / predictions.length;
+  const ssRes = errors.reduce((sum, e) => sum + e * e, 0);
+  const ssTot = predictions.reduce((sum, p) => sum + (p.target - meanTarget) ** 2, 0);
+  return {
+    mae: Math.round(mae * 100) / 100,
+    r2: ssTot > 0 ? Math.round((1 - ssRes / ssTot) * 100) / 100 : null,
+  };
+}
+
+function fitMetrics(samples, weights) {
+  return errorMetrics(samples.map(s => ({ predicted: predict(s, weights), target: s.target })));
+}
+
+// Projection sur le simplexe borné : poids ≥ MIN_FACTOR_WEIGHT, somme = 1
+function project(weights) {
+  const clamped = Object.fromEntries(FACTORS.map(k => [k, Math.max(MIN_FACTOR_WEIGHT, weights[k])]));
+  const total = FACTORS.reduce((sum, k) => sum + clamped[k], 0);
+  return Object.fromEntries(FACTORS.map(k => [k, clamped[k] / total]));
+}
+
+// Moindres carrés régularisés vers les poids du niveau, par descente de gradient projetée
+function fitWeights(samples, prior) {
+  let weights = { ...prior };
+  for (let i = 0; i < ITERATIONS; i++) {
+    const grad = Object.fromEntries(FACTORS.map(k => [k, 0]));
+    samples.forEach(s => {
+      const err = FACTORS.reduce((sum, k) => sum + s.factors[k] * weights[k], 0) + s.offset - s.target;
+      FACTORS.forEach(k => { grad[k] += 2 * err * s.factors[k] / samples.length; });
+    });
+    FACTORS.forEach(k => { grad[k] += 2 * PRIOR_STRENGTH * (weights[k] - prior[k]); });
+    weights = project(Object.fromEntries(FACTORS.map(k => [k, weights[k] - LEARNING_RATE * grad[k]])));
+  }
+  return weights;
+}
+
+// Erreur hors échantillon : chaque pli est prédit par des poids (et une fourchette de taille)
+// appris sur les autres sessions uniquement
+function crossValidate(baseSamples, prior, declared) {
+  const folds = Math.min(CV_FOLDS, baseSamples.length);
+  const predictions = [];
+  for (let fold = 0; fold < folds; fold++) {
+    const train = baseSamples.filter((_, i) => i % folds !== fold);
+    const test = baseSamples.filter((_, i) => i % folds === fold);
+    const preference = fitWavePreference(train) || declared;
+    const waveProfile = { min_wave_height: preference.min, max_wave_height: preference.max };
+    const weights = fitWeights(withWaves(train, waveProfile), prior);
+    withWaves(test, waveProfile).forEach(s => predictions.push({ predicted: predict(s, weights), target: s.target }));
+  }
+  return errorMetrics(predictions);
+}
+
+const round3 = weights => Object.fromEntries(FACTORS.map(k => [k, Math.round(weights[k] * 1000) / 1000]));
+
+// ─── Calibration d'un utilisateur ───────────────────────
+// sessions : getSessionsWithMeteo(userId) ; spotsById : lignes complètes de la table spots
+// Retourne l'objet à stocker dans profiles.scoring_weights
+function calibrateUser(profile, sessions, spotsById = {}) {
+  const level = normalizeLevel(profile?.surf_level);
+  const baseSamples = buildSamples(sessions, spotsById);
+  const prior = computeWeights(baseSamples.length, level);
+
+  const declared = {
+    min: profile?.min_wave_height || 0.8,
+    max: profile?.max_wave_height || 2.0,
+  };
+  const wavePreference = fitWavePreference(baseSamples);
+
+  const result = {
+    version: CALIBRATION_VERSION,
+    level,
+    fittedAt: new Date().toISOString(),
+    weights: round3(prior),
+    wavePreference,
+    fit: { sessions: baseSamples.length, improved: false },
+  };
+  if (baseSamples.length < MIN_CALIBRATION_SESSIONS) return result;
+
+  // Référence : poids du niveau et fourchette déclarée, tels qu'utilisés sans calibration
+  const baseline = fitMetrics(
+    withWaves(baseSamples, { min_wave_height: declared.min, max_wave_height: declared.max }),
+    prior
+  );
+
+  const samples = withWaves(baseSamples, {
+    min_wave_height: (wavePreference || declared).min,
+    max_wave_height: (wavePreference || declared).max,
+  });
+  const weights = fitWeights(samples, prior);
+  // mae / r2 / improved : validation croisée (l'erreur sur les sessions d'ajustement est optimiste)
+  const metrics = crossValidate(baseSamples, prior, declared);
+  const inSample = fitMetrics(samples, weights);
+
+  return {
+    ...result,
+    weights: round3(weights),
+    fit: {
+      sessions: samples.length,
+      folds: Math.min(CV_FOLDS, samples.length),
+      mae: metrics.mae,
+      r2: metrics.r2,
+      inSampleMae: inSample.mae,
+      baselineMae: baseline.mae,
+      baselineR2: baseline.r2,
+      improved: metrics.mae < baseline.mae,
+    },
+  };
+}
+
+// ─── Job ────────────────────────────────────────────────
+// Recalibre un utilisateur (userId) ou tous ceux qui ont assez de sessions notées avec météo
+async function runCalibration({ userId = null } = {}) {
+  const db = require('./supabaseService');
+  const spots = await db.getSpots();
+  const spotsById = Object.fromEntries(spots.map(s => [s.id, s]));
+
+  let userIds;
+  if (userId) {
+    userIds = [userId];
+  } else {
+    const sessions = await db.getAllSessions();
+    const counts = {};
+    sessions
+      .filter(s => s.user_id && s.rating >= 1 && s.meteo)
+      .forEach(s => { counts[s.user_id] = (counts[s.user_id] || 0) + 1; });
+    userIds = Object.keys(counts).filter(id => counts[id] >= MIN_CALIBRATION_SESSIONS);
+  }
+
+  const results = [];
+  for (const id of userIds) {
+    try {
+      const [profile, sessions] = await Promise.all([db.getProfile(id), db.getSessionsWithMeteo(id)]);
+      const calibration = calibrateUser(profile, sessions || [], spotsById);
+      await db.upsertProfile(id, { scoring_weights: calibration });
+      results.push({ userId: id, sessions: calibration.fit.sessions, improved: calibration.fit.improved, fit: calibration.fit });
+    } catch (error) {
+      console.warn(`⚠️ Calibration échouée pour ${id}:`, error.message);
+      results.push({ userId: id, error: error.message });
+    }
+  }
+
+  console.log(`🎚️ Calibration: ${results.filter(r => r.improved).length}/${results.length} profils avec poids appris`);
+  return results;
+}
+
+module.exports = { calibrateUser, runCalibration, buildSamples, fitWavePreference, CALIBRATION_VERSION };
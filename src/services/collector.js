@@ -1,55 +1,69 @@
 // 📡 Collector SurfAI — Agrège toutes les sources de données en un contexte unifié
 // Spec : docs/superpowers/specs/2026-03-22-moteur-prediction-ia-design.md
 
-const stormglassService = require('./stormglassService');
+const forecastProvider = require('./forecastProvider');
 const shomService = require('./shomService');
 const db = require('./supabaseService');
+const { enrichForecast, extremesFromHourly } = require('./tideContext');
+const { getStation } = require('./tideStations');
+const { applyShoreOrientation } = require('./forecastUtils');
+const { getSpotCommunityProfile } = require('./communityProfile');
 
 async function collectContext(spotId, userId, days = 5) {
   console.log(`📡 Collecte contexte: spot=${spotId} user=${userId} days=${days}`);
 
   // Récupérer toutes les données en parallèle
-  const [spot, profile, sessions, boards] = await Promise.all([
+  const [spot, profile, sessions, boards, communityProfile] = await Promise.all([
     db.getSpotById(spotId),
     db.getProfile(userId),
     db.getSessionsWithMeteo(userId),
     db.getBoards(userId),
+    getSpotCommunityProfile(spotId),
   ]);
 
   if (!spot) throw new Error(`Spot ${spotId} introuvable`);
 
-  // Prévisions météo Stormglass (5 jours)
-  const weatherData = await stormglassService.getForecast(spot.lat, spot.lng, days);
+  // Prévisions météo (5 jours) — Stormglass puis fallback selon la chaîne configurée
+  const weatherData = await forecastProvider.getForecast(spot.lat, spot.lng, days);
 
-  // Marées via Stormglass tide/extremes, puis interpolation sur le forecast
-  let forecast = weatherData.forecast;
+  // Marées via le premier fournisseur disponible (tide/extremes), puis interpolation sur le forecast
+  // (hauteur, niveau relatif dans le marnage, coefficient, temps jusqu'au prochain extrême)
+  // Offshore / onshore recalculés par rapport à l'orientation de la plage quand elle est connue
+  let forecast = applyShoreOrientation(weatherData.forecast, spot.shore_orientation);
+  let tideExtremes = [];
   try {
-    const tideExtremes = await stormglassService.getTideExtremes(spot.lat, spot.lng, days);
-    if (tideExtremes.length > 0) {
-      forecast = forecast.map(point => {
-        // Trouver l'extrême précédent et suivant pour interpoler la phase
-        const ts = point.timestamp;
-        const prev = [...tideExtremes].reverse().find(e => e.timestamp <= ts);
-        const next = tideExtremes.find(e => e.timestamp > ts);
-        let tidePhase = 'unknown';
-        if (prev && next) {
-          tidePhase = next.type === 'high' ? 'rising' : 'falling';
-        } else if (prev) {
-          tidePhase = prev.type === 'high' ? 'falling' : 'rising';
-        }
-        return { ...point, tidePhase, tideExtremes };
-      });
+    tideExtremes = await forecastProvider.getTideExtremes(spot.lat, spot.lng, days);
+  } catch (e) {
+    console.warn('⚠️ Marées indisponibles:', e.message);
+  }
+
+  // Station de référence du spot (resolveStationForSpot renseigne spots.shom_port_code au passage)
+  // Pas d'extrêmes fournis → pleines et basses mers SHOM de la station la plus proche
+  let tideStation = null;
+  try {
+    tideStation = await shomService.resolveStationForSpot(spot);
+    if (tideStation && tideExtremes.length === 0) {
+      const tideByDate = await shomService.getTideDataForDays(spot, days, tideStation);
+      tideExtremes = extremesFromHourly(tideByDate);
     }
   } catch (e) {
-    console.warn('⚠️ Stormglass tide indisponible:', e.message);
+    console.warn('⚠️ Marées SHOM indisponibles:', e.message);
   }
 
+  // Le coefficient se rapporte au marnage de vive-eau de la station qui a fourni les extrêmes
+  const coefStation = getStation(tideExtremes[0]?.station) || tideStation;
+  forecast = enrichForecast(forecast, tideExtremes, coefStation);
+
   return {
     spot,
+    forecastSource: weatherData.source,
+    tideStation,
+    tideExtremes,
     forecast,         // array de points horaires enrichis avec marée
     profile: profile || { surf_level: 'intermediate', min_wave_height: 0.8, max_wave_height: 2.0 },
     pastSessions: sessions || [],
     boards: boards || [],
+    communityProfile, // snapshots des autres surfeurs du spot (null si indisponible)
     userId,
     collectedAt: new Date().toISOString(),
   };
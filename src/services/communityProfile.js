@@ -0,0 +1,106 @@
+// 👥 Profil communautaire d'un spot — ce que les sessions notées de tous les surfeurs en disent
+// Construit à partir des snapshots anonymisés (spot_session_snapshots) et lu par
+// scorer.scoreCommunity : fourchette de taille des bonnes sessions (en taille ressentie),
+// directions de vent et phases de marée qui marchent, biais de taille ressentie / prévue.
+
+const { communitySizeBias, PERCEIVED_SIZE_FACTOR } = require('./sessionDetails');
+const { degreesToCardinal } = require('./scorer');
+
+// Confiance pleine à partir de ce nombre de snapshots (scoreCommunity s'active à 0.3, soit 9)
+const FULL_CONFIDENCE_SESSIONS = 30;
+// Bonne / mauvaise session (rating_norm = note / 5)
+const GOOD_RATING_NORM = 0.7;
+const BAD_RATING_NORM = 0.4;
+// Effectif minimal pour une fourchette, une direction de vent ou une phase de marée
+const MIN_SAMPLES = 3;
+// Une direction de vent compte si elle revient dans au moins 20 % des bonnes sessions
+const MIN_WIND_DIR_SHARE = 0.2;
+// Snapshots lus par spot, et durée de vie du profil en mémoire
+const SNAPSHOT_LIMIT = 500;
+const PROFILE_CACHE_MS = 30 * 60 * 1000;
+
+const profileCache = new Map();
+
+const round1 = v => Math.round(v * 10) / 10;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Fourchette (quartiles) de la taille ressentie des bonnes sessions
+function sweetRange(good) {
+  const felt = good
+    .filter(s => s.wave_height != null)
+    .map(s => s.wave_height * (PERCEIVED_SIZE_FACTOR[s.perceived_size] || 1))
+    .sort((a, b) => a - b);
+  if (felt.length < MIN_SAMPLES) return { wave_sweet_min: null, wave_sweet_max: null };
+  return { wave_sweet_min: round1(quantile(felt, 0.25)), wave_sweet_max: round1(quantile(felt, 0.75)) };
+}
+
+function bestWindDirs(good) {
+  const dirs = good.map(s => degreesToCardinal(s.wind_direction)).filter(Boolean);
+  const counts = {};
+  dirs.forEach(d => { counts[d] = (counts[d] || 0) + 1; });
+  return Object.entries(counts)
+    .filter(([, n]) => n >= MIN_SAMPLES && n >= MIN_WIND_DIR_SHARE * dirs.length)
+    .sort((a, b) => b[1] - a[1])
+    .map(([dir]) => dir);
+}
+
+// Phases de marée à note moyenne haute (tide_good) ou basse (tide_bad)
+function tidePreferences(snapshots) {
+  const byPhase = {};
+  snapshots.filter(s => s.tide_phase && s.rating_norm != null).forEach(s => {
+    (byPhase[s.tide_phase] = byPhase[s.tide_phase] || []).push(s.rating_norm);
+  });
+  const tide_good = [];
+  const tide_bad = [];
+  Object.entries(byPhase).forEach(([phase, ratings]) => {
+    if (ratings.length < MIN_SAMPLES) return;
+    const mean = ratings.reduce((a, b) => a + b, 0) / ratings.length;
+    if (mean >= GOOD_RATING_NORM) tide_good.push(phase);
+    else if (mean <= BAD_RATING_NORM) tide_bad.push(phase);
+  });
+  return { tide_good, tide_bad };
+}
+
+// Snapshots d'un spot → profil communautaire (forme attendue par scorer.scoreCommunity)
+function buildCommunityProfile(snapshots) {
+  const rows = snapshots || [];
+  const good = rows.filter(s => s.rating_norm >= GOOD_RATING_NORM);
+  return {
+    session_count: rows.length,
+    confidence: Math.round(Math.min(1, rows.length / FULL_CONFIDENCE_SESSIONS) * 100) / 100,
+    ...sweetRange(good),
+    best_wind_dirs: bestWindDirs(good),
+    ...tidePreferences(rows),
+    ...communitySizeBias(rows),
+  };
+}
+
+// Profil communautaire du spot, gardé PROFILE_CACHE_MS en mémoire ; null si indisponible
+async function getSpotCommunityProfile(spotId) {
+  if (!spotId) return null;
+  const cached = profileCache.get(spotId);
+  if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+  try {
+    const db = require('./supabaseService');
+    const profile = buildCommunityProfile(await db.getSpotSnapshots(spotId, SNAPSHOT_LIMIT));
+    if (profileCache.size > 1000) profileCache.clear();
+    profileCache.set(spotId, { profile, expiresAt: Date.now() + PROFILE_CACHE_MS });
+    return profile;
+  } catch (error) {
+    console.warn(`⚠️ Profil communautaire du spot ${spotId} indisponible:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  buildCommunityProfile,
+  getSpotCommunityProfile,
+  FULL_CONFIDENCE_SESSIONS,
+};
@@ -0,0 +1,79 @@
+// 🎲 Confiance de prévision SurfAI — fiabilité 0-1 d'un créneau horaire
+// Combine l'échéance (plus c'est loin, moins c'est sûr), le désaccord entre modèles
+// (spread issu du blending) et la complétude des données du point.
+
+// ─── Échéance ───────────────────────────────────────────
+// ~1.0 jusqu'à 6h, 0.91 à J+1, 0.72 à J+3, 0.57 à J+5, plancher 0.3
+function leadTimeFactor(leadTimeHours) {
+  const h = Math.max(0, leadTimeHours - 6);
+  return Math.max(0.3, Math.exp(-h / 200));
+}
+
+// ─── Désaccord entre modèles ────────────────────────────
+// Spread relatif par paramètre, normalisé 0 (unanimes) → 1 (complètement divergents)
+function spreadFactor(slot) {
+  const spread = slot.spread;
+  if (!spread) {
+    // Un seul modèle : on ne sait pas mesurer le désaccord → légère prudence
+    return 0.9;
+  }
+
+  const parts = [];
+  if (spread.waveHeight != null) parts.push({ v: spread.waveHeight / Math.max(slot.waveHeight || 0, 0.5), w: 0.35 });
+  if (spread.windSpeed != null) parts.push({ v: spread.windSpeed / Math.max(slot.windSpeed || 0, 10), w: 0.30 });
+  if (spread.wavePeriod != null) parts.push({ v: spread.wavePeriod / Math.max(slot.wavePeriod || 0, 6), w: 0.15 });
+  if (spread.windDirection != null) parts.push({ v: spread.windDirection / 90, w: 0.20 });
+  if (!parts.length) return 0.9;
+
+  const totalWeight = parts.reduce((sum, p) => sum + p.w, 0);
+  const disagreement = Math.min(1, parts.reduce((sum, p) => sum + Math.min(1, p.v) * p.w, 0) / totalWeight);
+  return 1 - 0.6 * disagreement;
+}
+
+// ─── Complétude ─────────────────────────────────────────
+// Hauteur et vent sont indispensables, période et directions affinent le score
+function completenessFactor(slot) {
+  let factor = 1;
+  if (slot.waveHeight == null) factor -= 0.3;
+  if (slot.windSpeed == null) factor -= 0.3;
+  if (slot.wavePeriod == null) factor -= 0.15;
+  if (slot.windDirection == null) factor -= 0.1;
+  if (slot.waveDirection == null && slot.swellDirection == null) factor -= 0.1;
+  return Math.max(0.2, factor);
+}
+
+// ─── Fonction principale ─────────────────────────────────
+function computeSlotConfidence(slot, now = Date.now()) {
+  const slotMs = slot.timestamp ? slot.timestamp * 1000 : new Date(slot.time).getTime();
+  const leadTimeHours = isNaN(slotMs) ? 0 : Math.max(0, (slotMs - now) / 3600000);
+
+  const components = {
+    leadTime:     Math.round(leadTimeFactor(leadTimeHours) * 100) / 100,
+    spread:       Math.round(spreadFactor(slot) * 100) / 100,
+    completeness: Math.round(completenessFactor(slot) * 100) / 100,
+  };
+
+  const value = Math.round(components.leadTime * components.spread * components.completeness * 100) / 100;
+
+  return {
+    value,
+    label: confidenceLabel(value),
+    leadTimeHours: Math.round(leadTimeHours),
+    components,
+  };
+}
+
+function confidenceLabel(value) {
+  if (value >= 0.75) return 'élevée';
+  if (value >= 0.5)  return 'moyenne';
+  return 'faible';
+}
+
+// Score utilisé pour choisir le libellé : les scores hauts sont rapprochés de "Bon"
+// quand la prévision est incertaine (un 9/10 à J+5 n'est pas "Exceptionnel" garanti)
+function temperScore(score, confidence) {
+  if (confidence == null || score <= 5.5) return score;
+  return 5.5 + (score - 5.5) * (0.5 + 0.5 * confidence);
+}
+
+module.exports = { computeSlotConfidence, temperScore, confidenceLabel };
@@ -0,0 +1,105 @@
+// 🧪 Blending multi-sources SurfAI
+// Stormglass renvoie pour chaque paramètre une valeur par modèle (sg, noaa, icon, meteo…).
+// Au lieu de garder la première, on combine toutes les sources et on mesure leur désaccord.
+
+const BLEND_MODES = ['first', 'median', 'weighted'];
+
+// Poids par défaut (mode 'weighted') — surchargeables par paramètre via FORECAST_BLEND_WEIGHTS
+// Les modèles vagues dédiés (sg, meteo/Météo-France) sont favorisés sur la houle
+const DEFAULT_WEIGHTS = {
+  default:     { sg: 1.0, noaa: 1.0, icon: 1.0, meteo: 1.0, dwd: 1.0, ecmwf: 1.0, fcoo: 0.8, fmi: 0.8, metno: 0.8 },
+  waveHeight:  { sg: 1.5, meteo: 1.3, noaa: 1.0, icon: 1.0, dwd: 1.0, fcoo: 0.7, fmi: 0.7 },
+  wavePeriod:  { sg: 1.5, meteo: 1.3, noaa: 1.0, icon: 1.0, dwd: 1.0, fcoo: 0.7, fmi: 0.7 },
+  swellHeight: { sg: 1.5, meteo: 1.3, noaa: 1.0, icon: 1.0, dwd: 1.0, fcoo: 0.7, fmi: 0.7 },
+  secondarySwellHeight: { sg: 1.5, meteo: 1.3, noaa: 1.0, icon: 1.0, dwd: 1.0, fcoo: 0.7, fmi: 0.7 },
+  windWaveHeight: { sg: 1.5, meteo: 1.3, noaa: 1.0, icon: 1.0, dwd: 1.0, fcoo: 0.7, fmi: 0.7 },
+  windSpeed:   { sg: 1.2, icon: 1.2, ecmwf: 1.2, noaa: 1.0, dwd: 1.0, meteo: 1.0 },
+};
+
+function getBlendMode() {
+  const mode = (process.env.FORECAST_BLEND_MODE || 'median').toLowerCase();
+  return BLEND_MODES.includes(mode) ? mode : 'median';
+}
+
+function getWeights() {
+  if (!process.env.FORECAST_BLEND_WEIGHTS) return DEFAULT_WEIGHTS;
+  try {
+    const custom = JSON.parse(process.env.FORECAST_BLEND_WEIGHTS);
+    return { ...DEFAULT_WEIGHTS, ...custom };
+  } catch (e) {
+    console.warn('⚠️ FORECAST_BLEND_WEIGHTS invalide (JSON attendu), poids par défaut utilisés');
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+function isDirection(param) {
+  return /Direction$/.test(param);
+}
+
+function angularDiff(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Moyenne circulaire pondérée — 350° et 10° donnent 0°, pas 180°
+function circularMean(entries) {
+  let x = 0, y = 0;
+  entries.forEach(({ value, weight }) => {
+    const rad = value * Math.PI / 180;
+    x += Math.cos(rad) * weight;
+    y += Math.sin(rad) * weight;
+  });
+  if (x === 0 && y === 0) return entries[0].value;
+  return ((Math.atan2(y, x) * 180 / Math.PI) + 360) % 360;
+}
+
+/**
+ * Combine les valeurs d'un paramètre sur toutes les sources d'une heure
+ * @param {Object} valuesBySource - { sg: 1.2, noaa: 1.4, … } tel que renvoyé par Stormglass
+ * @param {string} param - nom du paramètre Stormglass (waveHeight, windDirection…)
+ * @param {string} mode - 'first' | 'median' | 'weighted'
+ * @returns {{ value: number|null, spread: number|null, sources: number }}
+ *   spread = max-min pour les scalaires, écart angulaire max à la valeur retenue pour les directions
+ */
+function blendParameter(valuesBySource, param, mode = getBlendMode(), weights = getWeights()) {
+  if (!valuesBySource) return { value: null, spread: null, sources: 0 };
+
+  const paramWeights = weights[param] || weights.default;
+  const entries = Object.entries(valuesBySource)
+    .filter(([, value]) => typeof value === 'number' && !isNaN(value))
+    .map(([source, value]) => ({ source, value, weight: paramWeights[source] ?? weights.default[source] ?? 1 }));
+
+  if (!entries.length) return { value: null, spread: null, sources: 0 };
+
+  let value;
+  if (mode === 'first') {
+    value = entries[0].value;
+  } else if (isDirection(param)) {
+    // Médiane et moyenne n'ont pas de sens sur un cercle : moyenne circulaire (pondérée si demandé)
+    value = circularMean(mode === 'weighted' ? entries : entries.map(e => ({ ...e, weight: 1 })));
+  } else if (mode === 'weighted') {
+    const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+    value = totalWeight > 0
+      ? entries.reduce((sum, e) => sum + e.value * e.weight, 0) / totalWeight
+      : median(entries.map(e => e.value));
+  } else {
+    value = median(entries.map(e => e.value));
+  }
+
+  let spread = null;
+  if (entries.length > 1) {
+    spread = isDirection(param)
+      ? Math.max(...entries.map(e => angularDiff(e.value, value)))
+      : Math.max(...entries.map(e => e.value)) - Math.min(...entries.map(e => e.value));
+  }
+
+  return { value, spread, sources: entries.length };
+}
+
+module.exports = { blendParameter, getBlendMode, BLEND_MODES, DEFAULT_WEIGHTS };
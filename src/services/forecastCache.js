@@ -0,0 +1,105 @@
+// 🗺️ Cache géographique des prévisions SurfAI
+// Les modèles marins ont une résolution de 5 à 25 km : des spots voisins (Hossegor, Seignosse,
+// Capbreton) reçoivent en pratique la même prévision. Les clés de cache sont donc calées sur une
+// grille propre à chaque fournisseur, et chaque cellule garde une seule entrée couvrant l'horizon
+// le plus long, découpée ensuite selon le nombre de jours demandé.
+
+// Pas de grille (degrés) : ~11 km pour Stormglass (modèles globaux mélangés),
+// ~5,5 km pour Open-Meteo (modèles marins régionaux plus fins)
+const GRID_DEG = {
+  stormglass: 0.1,
+  openmeteo: 0.05,
+};
+
+// Horizon récupéré à chaque appel amont (jours) : un seul appel sert 1, 3 ou 5 jours
+const HORIZON_DAYS = {
+  stormglass: 10,
+  openmeteo: 7,
+};
+
+// Cellule de grille d'un point, ex. "43.70,-1.40"
+function gridCell(provider, lat, lng) {
+  const step = GRID_DEG[provider] || 0.01;
+  const snap = value => (Math.round(parseFloat(value) / step) * step).toFixed(2);
+  return `${snap(lat)},${snap(lng)}`;
+}
+
+// Jours à récupérer : l'horizon du fournisseur, ou davantage si la demande le dépasse
+function fetchDays(provider, days) {
+  return Math.max(parseInt(days) || 1, HORIZON_DAYS[provider] || 1);
+}
+
+// L'entrée en cache couvre-t-elle la demande ?
+function covers(entry, days) {
+  return !!entry && (entry.meta?.horizonDays || 0) >= days;
+}
+
+// Entrée expirée (servie faute de budget) : couvre-t-elle encore +days jours à partir de
+// maintenant ? Son horizon a été compté depuis l'appel, parfois vieux de plusieurs jours.
+// Tolérance de 3 h sur le dernier point (pas horaire des fournisseurs)
+function coversFromNow(entry, days) {
+  if (!covers(entry, days)) return false;
+  const last = entry.forecast?.[entry.forecast.length - 1]?.timestamp;
+  const toSec = Math.floor(Date.now() / 1000) - 3600 + days * 86400;
+  return last != null && last >= toSec - 3 * 3600;
+}
+
+// Vue d'une entrée de cellule pour une demande : points de l'heure en cours à +days jours,
+// coordonnées demandées (celles réellement interrogées restent dans meta.sourceCoordinates)
+function sliceForecast(entry, days, lat, lng) {
+  const fromSec = Math.floor(Date.now() / 1000) - 3600;
+  const toSec = fromSec + days * 86400;
+  const forecast = (entry.forecast || []).filter(p => p.timestamp >= fromSec && p.timestamp <= toSec);
+
+  return {
+    ...entry,
+    coordinates: { lat: parseFloat(lat), lng: parseFloat(lng) },
+    forecast,
+    meta: {
+      ...entry.meta,
+      dataPoints: forecast.length,
+      daysRequested: days,
+      sourceCoordinates: entry.coordinates,
+    },
+  };
+}
+
+// ─── Conditions passées (hindcast) ──────────────────────
+// Les points sont horaires : la fenêtre est élargie à l'heure pleine, et deux sessions
+// voisines saisies à quelques minutes d'écart partagent la même entrée
+const HINDCAST_TTL_MS = 60 * 60 * 1000;
+// Entrées hindcast gardées par cache (les plus anciennes sont évincées au-delà)
+const HINDCAST_MAX_ENTRIES = 200;
+
+function hindcastWindow(startSec, endSec) {
+  return {
+    startSec: Math.floor(startSec / 3600) * 3600,
+    endSec: Math.ceil(endSec / 3600) * 3600,
+  };
+}
+
+// Fenêtre entièrement passée au moment de l'appel : elle ne changera plus, pas d'expiration.
+// Une fenêtre qui touche le présent expire après HINDCAST_TTL_MS (dernières heures encore révisées)
+function isHindcastFresh(entry) {
+  return !!entry && (entry.permanent || Date.now() - entry.timestamp < HINDCAST_TTL_MS);
+}
+
+function setHindcast(cache, key, data, endSec) {
+  cache.delete(key);
+  cache.set(key, { data, timestamp: Date.now(), permanent: endSec * 1000 < Date.now() });
+  const keys = [...cache.keys()].filter(k => k.startsWith('hist-'));
+  keys.slice(0, Math.max(0, keys.length - HINDCAST_MAX_ENTRIES)).forEach(k => cache.delete(k));
+}
+
+module.exports = {
+  gridCell,
+  fetchDays,
+  covers,
+  coversFromNow,
+  sliceForecast,
+  hindcastWindow,
+  isHindcastFresh,
+  setHindcast,
+  GRID_DEG,
+  HORIZON_DAYS,
+};
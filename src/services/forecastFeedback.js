@@ -0,0 +1,179 @@
+// 🔁 Prévision vs réalité SurfAI — boucle de retour sur les sessions enregistrées
+// À l'enregistrement d'une session, on garde le score que le moteur aurait donné à cette heure
+// (sessions.predicted_score + sessions.prediction). Confronté à la note réelle et à la taille
+// ressentie (perceived_size), il permet de mesurer les biais par spot et par surfeur, et de
+// corriger le size_factor des spots dont les prévisions se trompent régulièrement de taille.
+
+const { scoreConditions } = require('./scoringEngine');
+const { sizeFactor } = require('./swellExposure');
+const { PERCEIVED_SIZE_FACTOR } = require('./sessionDetails');
+
+// En deçà, un biais de taille n'est pas rapporté ni appliqué (trop peu de retours)
+const MIN_SIZE_FEEDBACK = 8;
+// Biais de taille en deçà duquel on ne signale rien (± 10 %)
+const SIZE_BIAS_THRESHOLD = 0.10;
+// Bornes du size_factor corrigé
+const SIZE_FACTOR_BOUNDS = [0.5, 2.0];
+
+const round = (v, d = 2) => (v == null || isNaN(v) ? null : Math.round(v * 10 ** d) / 10 ** d);
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// ─── Prédiction au moment de la session ─────────────────
+// meteo : météo capturée de la session ; pastSessions : historique du surfeur (hors cette session)
+// Retourne { predicted_score, prediction } à enregistrer sur la session
+function predictSession(meteo, { spot = null, profile = null, pastSessions = [], time = null } = {}) {
+  if (!meteo) return { predicted_score: null, prediction: null };
+
+  const scoring = scoreConditions(
+    { ...meteo, spotId: spot?.id, time: time ? new Date(time).toISOString() : meteo.matchedTime },
+    { profile, spot, pastSessions, now: time ? new Date(time).getTime() : Date.now() }
+  );
+
+  return {
+    predicted_score: scoring.score,
+    prediction: {
+      schemaVersion: scoring.schemaVersion,
+      score: scoring.score,
+      label: scoring.label,
+      breakingHeight: scoring.factors.waves.breakingHeight,
+      swellDirection: meteo.swellDirection ?? meteo.waveDirection ?? null,
+      // size_factor en vigueur : la correction reste idempotente d'un calcul à l'autre
+      sizeFactor: sizeFactor(spot),
+    },
+  };
+}
+
+// ─── Rapports de biais ──────────────────────────────────
+// Secteurs de houle à 45° : assez larges pour réunir des retours comparables
+function swellSector(deg) {
+  if (deg == null || isNaN(deg)) return null;
+  const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return dirs[Math.round(((deg % 360) + 360) % 360 / 45) % 8];
+}
+
+// Direction de houle d'une session : celle de la prédiction, sinon celle de la météo capturée
+// (colonnes meteo_*_direction de getSessionsWithPrediction, ou objet meteo complet)
+function sessionSwellDirection(session) {
+  return session.prediction?.swellDirection
+    ?? session.meteo_swell_direction ?? session.meteo?.swellDirection
+    ?? session.meteo_wave_direction ?? session.meteo?.waveDirection
+    ?? null;
+}
+
+// Rapport taille ressentie / taille prévue pour une session (1.25 = plus gros que prévu)
+function sizeRatio(session) {
+  return PERCEIVED_SIZE_FACTOR[session.perceived_size] ?? null;
+}
+
+function sizeMessage(label, ratio, direction = null) {
+  const pct = Math.round(Math.abs(ratio - 1) * 100);
+  const verb = ratio < 1 ? 'surestiment' : 'sous-estiment';
+  return `${label} : les prévisions ${verb} la taille de ${pct} %${direction ? ` par houle de ${direction}` : ''}`;
+}
+
+function summarizeGroup(sessions) {
+  const scored = sessions.filter(s => s.predicted_score != null && s.rating);
+  const sized = sessions.filter(s => sizeRatio(s) != null);
+  const errors = scored.map(s => s.predicted_score - s.rating * 2);
+  return {
+    sessions: sessions.length,
+    scoreBias: round(mean(errors)),
+    scoreMae: round(mean(errors.map(Math.abs))),
+    sizeFeedback: sized.length,
+    sizeRatio: round(mean(sized.map(sizeRatio))),
+  };
+}
+
+// Biais par spot, décliné par secteur de houle (N, NE… selon la direction capturée)
+function spotBiasReport(sessions) {
+  const bySpot = {};
+  sessions.forEach(s => {
+    if (!s.spot_id) return;
+    (bySpot[s.spot_id] = bySpot[s.spot_id] || []).push(s);
+  });
+
+  return Object.entries(bySpot).map(([spotId, spotSessions]) => {
+    const name = spotSessions[0].spots?.name || spotId;
+    const summary = summarizeGroup(spotSessions);
+
+    const bySector = {};
+    spotSessions.forEach(s => {
+      const sector = swellSector(sessionSwellDirection(s));
+      if (sector) (bySector[sector] = bySector[sector] || []).push(s);
+    });
+    const swellSectors = Object.fromEntries(
+      Object.entries(bySector).map(([sector, list]) => [sector, summarizeGroup(list)])
+    );
+
+    const messages = [];
+    if (summary.sizeFeedback >= MIN_SIZE_FEEDBACK && Math.abs(summary.sizeRatio - 1) >= SIZE_BIAS_THRESHOLD) {
+      messages.push(sizeMessage(name, summary.sizeRatio));
+    }
+    Object.entries(swellSectors).forEach(([sector, g]) => {
+      if (g.sizeFeedback >= MIN_SIZE_FEEDBACK && Math.abs(g.sizeRatio - 1) >= SIZE_BIAS_THRESHOLD) {
+        messages.push(sizeMessage(name, g.sizeRatio, sector));
+      }
+    });
+
+    return {
+      spotId,
+      name,
+      ...summary,
+      suggestedSizeFactor: suggestedSizeFactor(spotSessions),
+      swellSectors,
+      messages,
+    };
+  }).sort((a, b) => b.sessions - a.sessions);
+}
+
+function userBiasReport(sessions) {
+  const summary = summarizeGroup(sessions);
+  const messages = [];
+  if (summary.scoreBias != null && Math.abs(summary.scoreBias) >= 1) {
+    messages.push(summary.scoreBias > 0
+      ? `Le score prévu surestime tes sessions de ${summary.scoreBias} pt en moyenne`
+      : `Le score prévu sous-estime tes sessions de ${-summary.scoreBias} pt en moyenne`);
+  }
+  if (summary.sizeFeedback >= MIN_SIZE_FEEDBACK && Math.abs(summary.sizeRatio - 1) >= SIZE_BIAS_THRESHOLD) {
+    messages.push(sizeMessage('Sur tes sessions', summary.sizeRatio));
+  }
+  return { ...summary, messages };
+}
+
+// ─── Correction du size_factor ──────────────────────────
+// size_factor qui aurait fait coïncider prévision et ressenti : moyenne de (facteur en vigueur
+// lors de la session × rapport ressenti). Indépendant du facteur actuel → pas d'emballement.
+function suggestedSizeFactor(sessions) {
+  const sized = sessions.filter(s => sizeRatio(s) != null);
+  if (sized.length < MIN_SIZE_FEEDBACK) return null;
+  const target = mean(sized.map(s => (s.prediction?.sizeFactor || 1) * sizeRatio(s)));
+  return round(Math.min(SIZE_FACTOR_BOUNDS[1], Math.max(SIZE_FACTOR_BOUNDS[0], target)));
+}
+
+// Met à jour spots.size_factor d'après les retours ; dryRun : calcule sans écrire
+async function applySizeFactorFeedback({ spotId = null, dryRun = false } = {}) {
+  const db = require('./supabaseService');
+  const sessions = await db.getSessionsWithPrediction({ spotId });
+  const report = spotBiasReport(sessions);
+
+  const changes = [];
+  for (const spot of report) {
+    if (spot.suggestedSizeFactor == null) continue;
+    const current = sizeFactor({ size_factor: sessions.find(s => String(s.spot_id) === spot.spotId)?.spots?.size_factor });
+    if (Math.abs(spot.suggestedSizeFactor - current) < 0.05) continue;
+    if (!dryRun) await db.updateSpot(spot.spotId, { size_factor: spot.suggestedSizeFactor });
+    changes.push({ spotId: spot.spotId, name: spot.name, from: current, to: spot.suggestedSizeFactor, basedOn: spot.sizeFeedback });
+  }
+
+  console.log(`🔁 Size factor: ${changes.length} spot(s) ${dryRun ? 'à corriger' : 'corrigé(s)'}`);
+  return { dryRun, changes };
+}
+
+module.exports = {
+  predictSession,
+  spotBiasReport,
+  userBiasReport,
+  suggestedSizeFactor,
+  applySizeFactorFeedback,
+  MIN_SIZE_FEEDBACK,
+};
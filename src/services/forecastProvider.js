@@ -0,0 +1,162 @@
+// 🔌 Fournisseurs de prévisions SurfAI — chaîne de priorité avec fallback
+// Chaque fournisseur expose getForecast(lat, lng, days) au format horaire commun
+// (et getHistorical(lat, lng, startSec, endSec) quand il sait fournir le passé)
+// (waveHeight, wavePeriod, swellHeight, windSpeed en km/h, seaLevel, waterTemp…)
+// Ordre configurable via FORECAST_PROVIDERS=stormglass,openmeteo
+// Marées : TIDE_PROVIDERS=stormglass,harmonic (le harmonique fonctionne hors ligne)
+
+// Chargement paresseux : un fournisseur mal configuré (ex: clé Stormglass absente)
+// ne doit pas empêcher les autres de fonctionner
+const PROVIDERS = {
+  stormglass: () => require('./stormglassService'),
+  openmeteo:  () => require('./openMeteoService'),
+  harmonic:   () => require('./tidePredictor'),
+};
+
+const DEFAULT_CHAINS = {
+  forecast: ['stormglass', 'openmeteo'],
+  tide:     ['stormglass', 'harmonic'],
+};
+const CHAIN_ENV = {
+  forecast: 'FORECAST_PROVIDERS',
+  tide:     'TIDE_PROVIDERS',
+};
+
+// Un fournisseur en dépassement de quota est mis en pause pour ne pas gaspiller d'appels
+const QUOTA_COOLDOWN_MS = (parseInt(process.env.FORECAST_QUOTA_COOLDOWN_MIN) || 60) * 60 * 1000;
+
+const instances = {};
+const cooldowns = {};
+
+function getProvider(name) {
+  if (instances[name] !== undefined) return instances[name];
+  try {
+    instances[name] = PROVIDERS[name]();
+  } catch (e) {
+    console.warn(`⚠️ Fournisseur ${name} indisponible: ${e.message}`);
+    instances[name] = null;
+  }
+  return instances[name];
+}
+
+function getChain(kind = 'forecast') {
+  const configured = (process.env[CHAIN_ENV[kind]] || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(p => PROVIDERS[p]);
+  return configured.length ? configured : DEFAULT_CHAINS[kind];
+}
+
+function isQuotaError(error) {
+  return error.status === 429 || error.status === 402;
+}
+
+function isCoolingDown(name) {
+  return (cooldowns[name] || 0) > Date.now();
+}
+
+// Fournisseurs écartés faute de budget (voir apiBudget) : la réponse servie compte comme repli
+async function recordBudgetFallbacks(failures) {
+  const apiBudget = require('./apiBudget');
+  for (const f of failures.filter(f => f.code === 'BUDGET_EXHAUSTED')) {
+    await apiBudget.recordDegraded(f.provider, 'fallback');
+  }
+}
+
+// 🌊 Prévisions horaires — premier fournisseur de la chaîne qui répond
+async function getForecast(lat, lng, days = 3) {
+  const failures = [];
+
+  for (const name of getChain()) {
+    if (isCoolingDown(name)) {
+      failures.push({ provider: name, error: 'quota dépassé (en pause)' });
+      continue;
+    }
+    const provider = getProvider(name);
+    if (!provider?.getForecast) {
+      failures.push({ provider: name, error: 'non configuré' });
+      continue;
+    }
+
+    try {
+      const result = await provider.getForecast(parseFloat(lat), parseFloat(lng), parseInt(days) || 3);
+      if (!result?.forecast?.length) throw new Error('aucune donnée horaire');
+      if (failures.length) {
+        console.log(`🔁 Prévisions servies par ${name} (fallback après ${failures.map(f => f.provider).join(', ')})`);
+        await recordBudgetFallbacks(failures);
+        return { ...result, meta: { ...result.meta, fallbackFrom: failures } };
+      }
+      return result;
+    } catch (error) {
+      console.warn(`⚠️ Fournisseur ${name} en échec: ${error.message}`);
+      if (isQuotaError(error)) cooldowns[name] = Date.now() + QUOTA_COOLDOWN_MS;
+      failures.push({ provider: name, error: error.message, ...(error.code ? { code: error.code } : {}) });
+    }
+  }
+
+  const details = failures.map(f => `${f.provider}: ${f.error}`).join(' | ');
+  throw new Error(`Aucun fournisseur météo disponible (${details})`);
+}
+
+// 🕰️ Conditions passées (hindcast / archive) entre deux timestamps en secondes
+// Même chaîne que les prévisions, limitée aux fournisseurs qui savent remonter dans le temps
+async function getHistorical(lat, lng, startSec, endSec) {
+  const failures = [];
+
+  for (const name of getChain()) {
+    if (isCoolingDown(name)) {
+      failures.push({ provider: name, error: 'quota dépassé (en pause)' });
+      continue;
+    }
+    const provider = getProvider(name);
+    if (!provider?.getHistorical) {
+      failures.push({ provider: name, error: 'historique non supporté' });
+      continue;
+    }
+
+    try {
+      const result = await provider.getHistorical(parseFloat(lat), parseFloat(lng), startSec, endSec);
+      if (!result?.forecast?.length) throw new Error('aucune donnée horaire');
+      if (failures.length) await recordBudgetFallbacks(failures);
+      return failures.length ? { ...result, meta: { ...result.meta, fallbackFrom: failures } } : result;
+    } catch (error) {
+      console.warn(`⚠️ Historique ${name} en échec: ${error.message}`);
+      if (isQuotaError(error)) cooldowns[name] = Date.now() + QUOTA_COOLDOWN_MS;
+      failures.push({ provider: name, error: error.message, ...(error.code ? { code: error.code } : {}) });
+    }
+  }
+
+  const details = failures.map(f => `${f.provider}: ${f.error}`).join(' | ');
+  throw new Error(`Aucun fournisseur d'historique météo disponible (${details})`);
+}
+
+// 🌊 Extrêmes de marée — premier fournisseur qui sait les fournir et renvoie des données
+async function getTideExtremes(lat, lng, days = 2) {
+  for (const name of getChain('tide')) {
+    if (isCoolingDown(name)) continue;
+    const provider = getProvider(name);
+    if (!provider?.getTideExtremes) continue;
+    try {
+      const extremes = await provider.getTideExtremes(lat, lng, days);
+      if (extremes?.length) return extremes;
+    } catch (error) {
+      console.warn(`⚠️ Marées ${name} en échec: ${error.message}`);
+    }
+  }
+  return [];
+}
+
+// 📊 État de la chaîne (diagnostic /weather/test)
+function getStatus() {
+  const describe = name => ({
+    provider: name,
+    available: !!getProvider(name),
+    cooldownUntil: isCoolingDown(name) ? new Date(cooldowns[name]).toISOString() : null,
+  });
+  return {
+    forecast: getChain('forecast').map(describe),
+    tide: getChain('tide').map(describe),
+  };
+}
+
+module.exports = { getForecast, getHistorical, getTideExtremes, getStatus, getChain };
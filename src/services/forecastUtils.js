@@ -0,0 +1,124 @@
+// 🧰 Utilitaires prévisions SurfAI
+// Calculs dérivés partagés par tous les fournisseurs météo (Stormglass, Open-Meteo…)
+
+// 🧭 Classer le vent par rapport à la plage
+// reference = orientation de la plage (direction vers laquelle elle fait face, côté mer),
+// à défaut la direction de provenance de la houle (approximation historique, fausse sur
+// les plages en biais ou quand la houle réfracte)
+function classifyWind(windDir, reference) {
+  if (windDir == null || reference == null) return null;
+
+  // Écart entre la provenance du vent et le large : 0° = le vent arrive de la mer
+  const diff = Math.abs(windDir - reference) % 360;
+  const angle = diff > 180 ? 360 - diff : diff;
+
+  let type;
+  if (angle > 150)      type = 'offshore';
+  else if (angle > 120) type = 'cross-offshore';
+  else if (angle > 60)  type = 'cross-shore';
+  else if (angle > 30)  type = 'cross-onshore';
+  else                  type = 'onshore';
+
+  return { type, angle: Math.round(angle) };
+}
+
+// Référence pour classifyWind : orientation de la plage si connue, sinon direction de la houle
+function windReference(waveDir, shoreOrientation = null) {
+  return shoreOrientation != null ? shoreOrientation : waveDir;
+}
+
+// 🧭 Déterminer si le vent est offshore (favorable) — vient de la terre (> 90° du large)
+function isOffshore(windDir, waveDir, shoreOrientation = null) {
+  const wind = classifyWind(windDir, windReference(waveDir, shoreOrientation));
+  return !!wind && wind.angle > 90;
+}
+
+// Recalcule offshore / qualité des points horaires avec l'orientation de la plage du spot
+// (les fournisseurs ne connaissent que des coordonnées)
+function applyShoreOrientation(points, shoreOrientation) {
+  if (shoreOrientation == null || !Array.isArray(points)) return points;
+  const { scoreConditions } = require('./scoringEngine');
+  return points.map(p => {
+    const wind = classifyWind(p.windDirection, shoreOrientation);
+    return {
+      ...p,
+      offshore: isOffshore(p.windDirection, p.waveDirection, shoreOrientation),
+      windType: wind ? wind.type : null,
+      quality: p.waveHeight == null || p.windSpeed == null
+        ? 1
+        : scoreConditions(p, { spot: { shore_orientation: shoreOrientation } }).legacy.quality,
+    };
+  });
+}
+
+// ⭐ Qualité générique 1-5 d'un point (profil intermédiaire, sans spot) via le moteur de score unique
+// windSpeed en m/s, comme renvoyé par les API ; directions et trains de houle optionnels
+function calculateBasicQuality(conditions) {
+  const { waveHeight, windSpeed } = conditions;
+  if (waveHeight == null || windSpeed == null) return 1;
+
+  // Chargement paresseux : le scorer dépend lui-même de ce module
+  const { scoreConditions } = require('./scoringEngine');
+  return scoreConditions({ ...conditions, windSpeed: windSpeed * 3.6 }).legacy.quality;
+}
+
+// 🌊 Calculer les phases de marée depuis seaLevel
+function computeTidePhases(points) {
+  if (!points.some(p => p.seaLevel != null)) return points;
+  return points.map((p, i) => {
+    if (p.seaLevel == null) return { ...p, tidePhase: 'unknown', tideHeight: null };
+    const prev = points[i - 1];
+    const next = points[i + 1];
+    let tidePhase = 'unknown';
+    if (prev?.seaLevel != null && next?.seaLevel != null) {
+      const rising = p.seaLevel > prev.seaLevel;
+      const wasRising = prev.seaLevel > (points[i - 2]?.seaLevel ?? prev.seaLevel);
+      if (rising && !wasRising && Math.abs(p.seaLevel - prev.seaLevel) > 0.02) tidePhase = 'low';
+      else if (!rising && wasRising && Math.abs(p.seaLevel - prev.seaLevel) > 0.02) tidePhase = 'high';
+      else tidePhase = rising ? 'rising' : 'falling';
+    } else {
+      tidePhase = (next?.seaLevel != null && next.seaLevel > p.seaLevel) ? 'rising' : 'falling';
+    }
+    return { ...p, tidePhase, tideHeight: p.seaLevel };
+  });
+}
+
+// 🌊 Trains de houle : primaire, secondaire et mer du vent (valeurs brutes des API, en m / s / °)
+// swells = houles triées par énergie décroissante (H² · T), windWave = mer du vent locale
+function buildSwellTrains({ swell, secondarySwell, windWave }) {
+  const train = (t, type) => {
+    const height = t?.height ? Math.round(t.height * 10) / 10 : 0;
+    // Train < 5 cm : arrondi à 0, sans énergie → ignoré
+    if (!height) return null;
+    return {
+      type,
+      height,
+      period: t.period ? Math.round(t.period) : null,
+      direction: t.direction != null ? Math.round(t.direction) % 360 : null,
+    };
+  };
+
+  const energy = t => t.height * t.height * (t.period || 1);
+  const swells = [train(swell, 'primary'), train(secondarySwell, 'secondary')]
+    .filter(Boolean)
+    .sort((a, b) => energy(b) - energy(a));
+
+  return { swells, windWave: train(windWave, 'windWave') };
+}
+
+// ⏭️ Prochain high ou low à partir d'un timestamp
+function getNextTideFromExtremes(extremes, fromTimestampSec) {
+  const next = extremes.find(e => e.timestamp > fromTimestampSec);
+  return next || null;
+}
+
+module.exports = {
+  isOffshore,
+  classifyWind,
+  windReference,
+  applyShoreOrientation,
+  calculateBasicQuality,
+  computeTidePhases,
+  buildSwellTrains,
+  getNextTideFromExtremes,
+};
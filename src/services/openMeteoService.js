@@ -1,8 +1,22 @@
 // Service Open-Meteo — conditions marines gratuites, sans clé API
 const axios = require('axios');
+const forecastUtils = require('./forecastUtils');
+const { gridCell, fetchDays, covers, sliceForecast, hindcastWindow, isHindcastFresh, setHindcast } = require('./forecastCache');
 
 const MARINE_URL = 'https://marine-api.open-meteo.com/v1/marine';
 const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+// Réanalyse ERA5 pour le vent ancien ; l'API forecast couvre les ~3 derniers mois
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const RECENT_PAST_DAYS = 90;
+
+const MARINE_HOURLY = 'wave_height,wave_period,wave_direction,swell_wave_height,swell_wave_period,swell_wave_direction,secondary_swell_wave_height,secondary_swell_wave_period,secondary_swell_wave_direction,wind_wave_height,wind_wave_period,wind_wave_direction,sea_surface_temperature,sea_level_height_msl';
+const WEATHER_HOURLY = 'wind_speed_10m,wind_direction_10m,temperature_2m';
+
+// Open-Meteo est gratuit mais on évite de le marteler : cache mémoire 1h
+const forecastCache = new Map();
+const FORECAST_CACHE_MS = 60 * 60 * 1000;
+// forecast_days plafonné à 8 par l'API marine, dont le jour en cours
+const MAX_FORECAST_DAYS = 7;
 
 /**
  * Fetch current conditions for multiple spots
@@ -59,10 +73,219 @@ async function getConditions(spots) {
     return result;
 }
 
+/**
+ * Hourly forecast over N days, same shape as stormglassService.getForecast
+ * (waveHeight, wavePeriod, swellHeight, windSpeed in km/h, seaLevel, waterTemp…)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} days
+ * @returns {Object} { success, source, coordinates, forecast, meta }
+ */
+async function getForecast(lat, lng, days = 3) {
+    lat = parseFloat(lat);
+    lng = parseFloat(lng);
+    days = parseInt(days) || 3;
+
+    // Une entrée par cellule de grille, sur l'horizon maximal, découpée selon days
+    const cell = gridCell('openmeteo', lat, lng);
+    const cacheKey = `grid-${cell}`;
+    const cached = forecastCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < FORECAST_CACHE_MS && covers(cached.data, Math.min(days, MAX_FORECAST_DAYS))) {
+        return sliceForecast(cached.data, days, lat, lng);
+    }
+
+    const horizonDays = Math.min(fetchDays('openmeteo', days), MAX_FORECAST_DAYS);
+    console.log(`🌊 Appel Open-Meteo: ${lat}, ${lng} (${horizonDays} jours, cellule ${cell})`);
+
+    // forecast_days part de minuit : on demande un jour de plus puis on découpe depuis maintenant
+    const common = {
+        latitude: lat,
+        longitude: lng,
+        forecast_days: horizonDays + 1,
+        timeformat: 'unixtime',
+        timezone: 'GMT',
+    };
+
+    const [marineRes, weatherRes] = await Promise.all([
+        axios.get(MARINE_URL, { params: { ...common, hourly: MARINE_HOURLY }, timeout: 10000 }),
+        axios.get(WEATHER_URL, { params: { ...common, hourly: WEATHER_HOURLY, wind_speed_unit: 'ms' }, timeout: 10000 }),
+    ]);
+
+    const marine = marineRes.data?.hourly;
+    const weather = weatherRes.data?.hourly;
+    if (!marine?.time?.length) {
+        throw new Error('Format de données Open-Meteo invalide - pas de données horaires');
+    }
+
+    const fromSec = Math.floor(Date.now() / 1000) - 3600;
+    const toSec = fromSec + horizonDays * 86400;
+    const points = buildPoints(marine, weather, fromSec, toSec);
+
+    const forecast = forecastUtils.computeTidePhases(points);
+
+    const result = {
+        success: true,
+        source: 'openmeteo',
+        coordinates: { lat, lng },
+        forecast,
+        meta: {
+            requestTime: new Date().toISOString(),
+            dataPoints: forecast.length,
+            horizonDays,
+            cacheCell: cell,
+            apiCalls: 2,
+        },
+    };
+
+    forecastCache.set(cacheKey, { data: result, timestamp: Date.now() });
+    return sliceForecast(result, days, lat, lng);
+}
+
+/**
+ * Past hourly conditions between two timestamps (seconds), same shape as getForecast
+ * Marine : start_date/end_date sur l'API marine ; vent : API forecast (récent) ou archive ERA5
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} startSec
+ * @param {number} endSec
+ * @returns {Object} { success, source, coordinates, forecast, meta }
+ */
+async function getHistorical(lat, lng, startSec, endSec) {
+    lat = parseFloat(lat);
+    lng = parseFloat(lng);
+    ({ startSec, endSec } = hindcastWindow(startSec, endSec));
+
+    const cacheKey = `hist-${gridCell('openmeteo', lat, lng)}-${startSec}-${endSec}`;
+    const cached = forecastCache.get(cacheKey);
+    if (isHindcastFresh(cached)) return cached.data;
+
+    const toDate = sec => new Date(sec * 1000).toISOString().split('T')[0];
+    const common = {
+        latitude: lat,
+        longitude: lng,
+        start_date: toDate(startSec),
+        end_date: toDate(endSec),
+        timeformat: 'unixtime',
+        timezone: 'GMT',
+    };
+    const ageDays = (Date.now() / 1000 - startSec) / 86400;
+    const weatherUrl = ageDays > RECENT_PAST_DAYS ? ARCHIVE_URL : WEATHER_URL;
+
+    console.log(`🕰️ Appel Open-Meteo historique: ${lat}, ${lng} (${common.start_date} → ${common.end_date})`);
+
+    const [marineRes, weatherRes] = await Promise.all([
+        axios.get(MARINE_URL, { params: { ...common, hourly: MARINE_HOURLY }, timeout: 10000 }),
+        axios.get(weatherUrl, { params: { ...common, hourly: WEATHER_HOURLY, wind_speed_unit: 'ms' }, timeout: 10000 })
+            .catch(error => {
+                // Vagues sans vent plutôt que rien
+                console.warn('⚠️ Vent historique Open-Meteo indisponible:', error.message);
+                return null;
+            }),
+    ]);
+
+    const marine = marineRes.data?.hourly;
+    const weather = weatherRes?.data?.hourly;
+    if (!marine?.time?.length) {
+        throw new Error('Format de données Open-Meteo invalide - pas de données horaires');
+    }
+
+    const forecast = forecastUtils.computeTidePhases(buildPoints(marine, weather, startSec, endSec));
+
+    const result = {
+        success: true,
+        source: 'openmeteo',
+        coordinates: { lat, lng },
+        forecast,
+        meta: {
+            requestTime: new Date().toISOString(),
+            dataPoints: forecast.length,
+            start: new Date(startSec * 1000).toISOString(),
+            end: new Date(endSec * 1000).toISOString(),
+            windSource: weatherUrl === ARCHIVE_URL ? 'era5' : 'forecast',
+            apiCalls: 2,
+        },
+    };
+
+    setHindcast(forecastCache, cacheKey, result, endSec);
+    return result;
+}
+
+/**
+ * Hourly points between two timestamps (seconds) from Open-Meteo marine + weather series
+ * @returns {Array} points au format commun, sans phases de marée
+ */
+function buildPoints(marine, weather, fromSec, toSec) {
+    return marine.time
+        .map((ts, i) => ({ ts, i }))
+        .filter(({ ts }) => ts >= fromSec && ts <= toSec)
+        .map(({ ts, i }, index) => {
+            const time = new Date(ts * 1000);
+            // Les deux API partagent la même grille horaire, mais on recale par timestamp par sécurité
+            const w = weather?.time ? weather.time.indexOf(ts) : -1;
+            const pick = (series, idx) => (series && idx >= 0 ? series[idx] ?? null : null);
+
+            const waveHeight = pick(marine.wave_height, i);
+            const wavePeriod = pick(marine.wave_period, i);
+            const waveDirection = pick(marine.wave_direction, i);
+            const swellHeight = pick(marine.swell_wave_height, i);
+            const swellPeriod = pick(marine.swell_wave_period, i);
+            const swellDirection = pick(marine.swell_wave_direction, i);
+            const { swells, windWave } = forecastUtils.buildSwellTrains({
+                swell: { height: swellHeight, period: swellPeriod, direction: swellDirection },
+                secondarySwell: {
+                    height: pick(marine.secondary_swell_wave_height, i),
+                    period: pick(marine.secondary_swell_wave_period, i),
+                    direction: pick(marine.secondary_swell_wave_direction, i),
+                },
+                windWave: {
+                    height: pick(marine.wind_wave_height, i),
+                    period: pick(marine.wind_wave_period, i),
+                    direction: pick(marine.wind_wave_direction, i),
+                },
+            });
+            const waterTemp = pick(marine.sea_surface_temperature, i);
+            const seaLevel = pick(marine.sea_level_height_msl, i);
+            const windSpeed = pick(weather?.wind_speed_10m, w);
+            const windDirection = pick(weather?.wind_direction_10m, w);
+            const airTemp = pick(weather?.temperature_2m, w);
+
+            const offshore = forecastUtils.isOffshore(windDirection, waveDirection);
+            const quality = forecastUtils.calculateBasicQuality({
+                waveHeight, windSpeed, wavePeriod, waveDirection, windDirection,
+                swellHeight, swellPeriod, swellDirection, swells, windWave, offshore,
+            });
+
+            return {
+                time: time.toISOString(),
+                timestamp: ts,
+                hour: time.getHours(),
+                waveHeight: waveHeight ? Math.round(waveHeight * 10) / 10 : null,
+                wavePeriod: wavePeriod ? Math.round(wavePeriod) : null,
+                waveDirection: waveDirection != null ? Math.round(waveDirection) % 360 : null,
+                windSpeed: windSpeed ? Math.round(windSpeed * 3.6 * 10) / 10 : null, // m/s vers km/h
+                windDirection: windDirection != null ? Math.round(windDirection) % 360 : null,
+                swellHeight: swellHeight ? Math.round(swellHeight * 10) / 10 : null,
+                swellPeriod: swellPeriod ? Math.round(swellPeriod) : null,
+                swellDirection: swellDirection != null ? Math.round(swellDirection) % 360 : null,
+                swells,
+                windWave,
+                waterTemp: waterTemp ? Math.round(waterTemp * 10) / 10 : null,
+                airTemp: airTemp ? Math.round(airTemp * 10) / 10 : null,
+                seaLevel: seaLevel != null ? Math.round(seaLevel * 100) / 100 : null,
+                offshore,
+                quality,
+                // Un seul modèle : pas de mesure de désaccord
+                spread: null,
+                sourceCount: 1,
+                dataIndex: index,
+            };
+        });
+}
+
 function degreesToCardinal(deg) {
     if (deg == null || isNaN(deg)) return '';
     const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO'];
     return dirs[Math.round(((deg % 360) + 360) % 360 / 45) % 8];
 }
 
-module.exports = { getConditions };
+module.exports = { getConditions, getForecast, getHistorical };
@@ -1,5 +1,11 @@
 // 🎯 Service de prédiction intelligente pour SurfAI
 // Analyse les conditions et prédit la qualité des sessions
+// Le score vient du moteur unique (scoringEngine) ; ce service garde le format historique
+// (score 1-5, rating, recommendations) pour les clients existants.
+
+const { scoreSpot, tideBonus, degreesToCardinal } = require('./scorer');
+const { applyShoreOrientation } = require('./forecastUtils');
+const scoringEngine = require('./scoringEngine');
 
 class PredictionService {
   constructor() {
@@ -7,223 +13,54 @@ class PredictionService {
   }
 
   // 🏄‍♂️ Prédire la qualité d'une session selon les conditions et le niveau
+  // wind_speed en km/h (comme les points de prévision)
   async predictSessionQuality(conditions) {
-    const { 
-      wave_height, 
-      wave_period, 
-      wind_speed, 
-      wind_direction, 
+    const {
+      wave_height,
+      wave_period,
+      wave_direction,
+      wind_speed,
+      wind_direction,
       user_level = 'intermediate',
       swell_height,
-      swell_period 
+      swell_period,
+      swell_direction
     } = conditions;
 
     console.log('🎯 Prédiction qualité pour:', { wave_height, wind_speed, user_level });
 
-    // Validation des données essentielles
-    if (!wave_height || !wind_speed) {
+    // Validation des données essentielles (0 est une valeur valide : mer plate, pas de vent)
+    if (wave_height == null || wind_speed == null) {
       throw new Error('wave_height et wind_speed sont requis pour la prédiction');
     }
 
-    // Calcul de score basé sur le niveau utilisateur
-    const levelWeights = this.getLevelWeights(user_level);
-    let score = 1;
-    let factors = {};
-    let recommendations = [];
-
-    // 🌊 Analyse hauteur de vagues
-    const waveScore = this.analyzeWaveHeight(wave_height, user_level);
-    score += waveScore.score * levelWeights.wave;
-    factors.wave = waveScore;
-
-    // 💨 Analyse conditions de vent
-    const windScore = this.analyzeWind(wind_speed, wind_direction);
-    score += windScore.score * levelWeights.wind;
-    factors.wind = windScore;
-
-    // 🌊 Analyse période de vagues (si disponible)
-    if (wave_period) {
-      const periodScore = this.analyzePeriod(wave_period);
-      score += periodScore.score * levelWeights.period;
-      factors.period = periodScore;
-    }
-
-    // 🌊 Analyse houle (si disponible)
-    if (swell_height && swell_period) {
-      const swellScore = this.analyzeSwell(swell_height, swell_period);
-      score += swellScore.score * levelWeights.swell;
-      factors.swell = swellScore;
-    }
-
-    // Normaliser le score final
-    const finalScore = Math.min(5, Math.max(1, score));
-    
-    // Générer recommandations
-    recommendations = this.generateRecommendations(factors, user_level, finalScore);
-
-    // Calculer la confiance de la prédiction
-    const confidence = this.calculateConfidence(factors);
+    const scoring = scoringEngine.scoreConditions({
+      waveHeight: wave_height,
+      wavePeriod: wave_period ?? null,
+      waveDirection: wave_direction ?? null,
+      windSpeed: wind_speed,
+      windDirection: wind_direction ?? null,
+      swellHeight: swell_height ?? null,
+      swellPeriod: swell_period ?? null,
+      swellDirection: swell_direction ?? null,
+    }, { userLevel: user_level });
 
     return {
-      score: Math.round(finalScore * 10) / 10,
-      rating: this.getScoreRating(finalScore),
-      confidence: confidence,
-      factors: factors,
-      recommendations: recommendations,
+      score: scoring.legacy.personalizedScore,
+      rating: scoring.legacy.rating,
+      confidence: scoring.confidence.value,
+      factors: scoring.factors,
+      recommendations: this.generateRecommendations(scoring, user_level),
       user_level: user_level,
+      scoring,
       timestamp: new Date().toISOString()
     };
   }
 
-  // 🎚️ Poids selon le niveau du surfeur
-  getLevelWeights(level) {
-    const weights = {
-      beginner: {
-        wave: 0.4,     // Priorité sécurité
-        wind: 0.3,     
-        period: 0.1,   
-        swell: 0.1,
-        safety: 0.1
-      },
-      intermediate: {
-        wave: 0.35,
-        wind: 0.25,
-        period: 0.2,
-        swell: 0.15,
-        safety: 0.05
-      },
-      advanced: {
-        wave: 0.3,
-        wind: 0.2,
-        period: 0.25,
-        swell: 0.2,
-        safety: 0.05
-      },
-      expert: {
-        wave: 0.25,    // Plus technique
-        wind: 0.15,
-        period: 0.3,   // Période importante
-        swell: 0.25,   
-        safety: 0.05
-      }
-    };
-
-    return weights[level] || weights.intermediate;
-  }
-
-  // 🌊 Analyser hauteur de vagues
-  analyzeWaveHeight(height, level) {
-    let score = 0;
-    let analysis = '';
-
-    // Optimales selon niveau
-    const optimal = {
-      beginner: [0.5, 1.2],
-      intermediate: [0.8, 2.0],
-      advanced: [1.2, 3.0],
-      expert: [1.5, 5.0]
-    };
-
-    const [min, max] = optimal[level] || optimal.intermediate;
-
-    if (height >= min && height <= max) {
-      score = 2.5;
-      analysis = `Hauteur parfaite pour votre niveau (${height}m)`;
-    } else if (height >= min * 0.7 && height <= max * 1.3) {
-      score = 1.5;
-      analysis = `Hauteur correcte (${height}m)`;
-    } else if (height < min) {
-      score = height >= min * 0.5 ? 0.5 : 0;
-      analysis = `Vagues trop petites (${height}m)`;
-    } else {
-      score = height <= max * 1.5 ? 0.5 : 0;
-      analysis = `Vagues trop grosses (${height}m)`;
-    }
-
-    return { score, analysis, optimal: `${min}-${max}m` };
-  }
-
-  // 💨 Analyser conditions de vent
-  analyzeWind(speed, direction) {
-    let score = 0;
-    let analysis = '';
-
-    // Conversion en km/h si nécessaire
-    const speedKmh = speed > 50 ? speed : speed * 3.6;
-
-    if (speedKmh < 10) {
-      score = 2.5;
-      analysis = `Vent très léger (${Math.round(speedKmh)}km/h) - conditions glassy`;
-    } else if (speedKmh < 20) {
-      score = 2;
-      analysis = `Vent léger (${Math.round(speedKmh)}km/h) - bonnes conditions`;
-    } else if (speedKmh < 30) {
-      score = 1;
-      analysis = `Vent modéré (${Math.round(speedKmh)}km/h) - conditions moyennes`;
-    } else if (speedKmh < 40) {
-      score = 0.5;
-      analysis = `Vent fort (${Math.round(speedKmh)}km/h) - conditions difficiles`;
-    } else {
-      score = 0;
-      analysis = `Vent très fort (${Math.round(speedKmh)}km/h) - évitez`;
-    }
-
-    // Bonus/malus selon direction si fournie
-    if (direction) {
-      // TODO: Implémenter analyse direction selon spot
-      analysis += ` (${this.getWindDirectionName(direction)})`;
-    }
-
-    return { score, analysis, speedKmh: Math.round(speedKmh) };
-  }
-
-  // 🌊 Analyser période de vagues
-  analyzePeriod(period) {
-    let score = 0;
-    let analysis = '';
-
-    if (period >= 12) {
-      score = 2;
-      analysis = `Excellente période (${period}s) - vagues puissantes`;
-    } else if (period >= 8) {
-      score = 1.5;
-      analysis = `Bonne période (${period}s) - vagues organisées`;
-    } else if (period >= 6) {
-      score = 1;
-      analysis = `Période moyenne (${period}s) - vagues correctes`;
-    } else {
-      score = 0.5;
-      analysis = `Période courte (${period}s) - vagues chaotiques`;
-    }
-
-    return { score, analysis };
-  }
-
-  // 🌊 Analyser houle
-  analyzeSwell(height, period) {
-    let score = 0;
-    let analysis = '';
-
-    // Ratio houle/période
-    const ratio = height / period;
-
-    if (ratio < 0.1 && period > 10) {
-      score = 2;
-      analysis = `Houle longue et organisée (${height}m/${period}s)`;
-    } else if (ratio < 0.15) {
-      score = 1.5;
-      analysis = `Houle correcte (${height}m/${period}s)`;
-    } else {
-      score = 1;
-      analysis = `Houle courte (${height}m/${period}s)`;
-    }
-
-    return { score, analysis };
-  }
-
   // 🎯 Générer recommandations personnalisées
-  generateRecommendations(factors, level, score) {
+  generateRecommendations(scoring, level) {
     const recommendations = [];
+    const score = scoring.legacy.personalizedScore;
 
     // Recommandations générales selon score
     if (score >= 4.5) {
@@ -236,22 +73,8 @@ class PredictionService {
       recommendations.push('❌ Conditions défavorables, mieux vaut attendre');
     }
 
-    // Recommandations spécifiques
-    if (factors.wave && factors.wave.score < 1) {
-      if (level === 'beginner') {
-        recommendations.push('📚 Profitez-en pour réviser la théorie');
-      } else {
-        recommendations.push('🏋️ Bon moment pour l\'entraînement physique');
-      }
-    }
-
-    if (factors.wind && factors.wind.speedKmh > 25) {
-      recommendations.push('🌬️ Vent fort - prenez une planche plus petite');
-    }
-
-    if (factors.period && factors.period.score > 1.5) {
-      recommendations.push('🌊 Période excellente - sortez votre gun !');
-    }
+    // Recommandations spécifiques : les points d'attention du scorer
+    recommendations.push(...scoring.whyNotPerfect.slice(0, 2));
 
     // Recommandations sécurité pour débutants
     if (level === 'beginner' && score > 3) {
@@ -261,96 +84,77 @@ class PredictionService {
     return recommendations;
   }
 
-  // 📊 Calculer confiance de la prédiction
-  calculateConfidence(factors) {
-    let confidence = 0.5; // Base
-    let factorsCount = 0;
-
-    // Plus on a de données, plus on est confiant
-    Object.values(factors).forEach(factor => {
-      if (factor && factor.score !== undefined) {
-        confidence += 0.15;
-        factorsCount++;
-      }
-    });
-
-    // Bonus si données complètes
-    if (factorsCount >= 3) {
-      confidence += 0.1;
-    }
-
-    return Math.min(0.95, Math.max(0.3, confidence));
-  }
-
-  // ⭐ Convertir score en rating
+  // ⭐ Convertir score (1-5) en rating
   getScoreRating(score) {
-    if (score >= 4.5) return 'Excellent';
-    if (score >= 3.5) return 'Très bon';
-    if (score >= 2.5) return 'Bon';
-    if (score >= 1.5) return 'Moyen';
-    return 'Médiocre';
+    return scoringEngine.legacyRating(score);
   }
 
-  // 🧭 Nom direction du vent
-  getWindDirectionName(degrees) {
-    const directions = [
-      'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
-      'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
-    ];
-    const index = Math.round(degrees / 22.5) % 16;
-    return directions[index];
+  // 📍 Adéquation du point avec les préférences du spot (ideal_wind / ideal_swell / ideal_tide)
+  // Informatif : ces préférences sont déjà prises en compte dans le score du moteur
+  computeSpotFit(point, spot) {
+    const spotScore = scoreSpot(point, spot);
+    const tideAdj = tideBonus(point, spot);
+    const windDir = degreesToCardinal(point.windDirection);
+    const swellDir = degreesToCardinal(point.swellDirection ?? point.waveDirection);
+
+    return {
+      score: Math.round(spotScore * 10) / 10,
+      idealWind: !!(windDir && spot.ideal_wind?.includes(windDir)),
+      idealSwell: !!(swellDir && spot.ideal_swell?.includes(swellDir)),
+      tideBonus: tideAdj,
+    };
   }
 
   // 🔄 Traiter données de prévisions pour enrichissement
-  async processForecastData(forecastData, userLevel = 'intermediate') {
+  // spot (optionnel) : ligne de la table spots, pour appliquer ses conditions idéales
+  async processForecastData(forecastData, userLevel = 'intermediate', spot = null) {
     if (!forecastData || !forecastData.forecast) {
       return forecastData;
     }
 
-    console.log(`🔄 Enrichissement prévisions pour niveau: ${userLevel}`);
+    console.log(`🔄 Enrichissement prévisions pour niveau: ${userLevel}${spot ? ` (spot: ${spot.name})` : ''}`);
 
-    // Enrichir chaque point avec prédiction personnalisée
-    const enrichedForecast = await Promise.all(
-      forecastData.forecast.map(async (point) => {
-        if (!point.waveHeight || !point.windSpeed) {
-          return point;
-        }
+    // Offshore recalculé par rapport à la plage du spot (shore_orientation) quand elle est connue
+    const points = spot ? applyShoreOrientation(forecastData.forecast, spot.shore_orientation) : forecastData.forecast;
 
-        try {
-          const prediction = await this.predictSessionQuality({
-            wave_height: point.waveHeight,
-            wave_period: point.wavePeriod,
-            wind_speed: point.windSpeed,
-            wind_direction: point.windDirection,
-            user_level: userLevel,
-            swell_height: point.swellHeight,
-            swell_period: point.swellPeriod
-          });
+    // Enrichir chaque point avec le score unifié ; quality / prediction en sont dérivés
+    const enrichedForecast = points.map(point => {
+      if (point.waveHeight == null && point.windSpeed == null) {
+        return point;
+      }
 
-          return {
-            ...point,
-            prediction: {
-              personalizedScore: prediction.score,
-              rating: prediction.rating,
-              confidence: prediction.confidence,
-              mainRecommendation: prediction.recommendations[0]
-            }
-          };
-        } catch (error) {
-          console.warn('⚠️ Erreur enrichissement point:', error.message);
-          return point;
-        }
-      })
-    );
+      try {
+        const scoring = scoringEngine.scoreConditions(point, { userLevel, spot });
+        const spotFit = spot ? this.computeSpotFit(point, spot) : null;
+
+        return {
+          ...point,
+          quality: scoring.legacy.quality,
+          scoring,
+          ...(spotFit && { spotFit }),
+          prediction: {
+            personalizedScore: scoring.legacy.personalizedScore,
+            rating: scoring.legacy.rating,
+            confidence: scoring.confidence.value,
+            mainRecommendation: scoring.whyNotPerfect[0] || scoring.whyGood[0] || null
+          }
+        };
+      } catch (error) {
+        console.warn('⚠️ Erreur enrichissement point:', error.message);
+        return point;
+      }
+    });
 
     return {
       ...forecastData,
       forecast: enrichedForecast,
       userLevel: userLevel,
+      scoringSchemaVersion: scoringEngine.SCHEMA_VERSION,
+      ...(spot && { spot: { id: spot.id, name: spot.name, city: spot.city } }),
       enriched: true
     };
   }
 }
 
 // Export instance singleton
-module.exports = new PredictionService();
\ No newline at end of file
+module.exports = new PredictionService();
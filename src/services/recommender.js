@@ -1,21 +1,23 @@
 // 🏆 Recommender SurfAI — Sélectionne les meilleurs créneaux et génère les narratives
 // Spec : docs/superpowers/specs/2026-03-22-moteur-prediction-ia-design.md
 
-const { scoreSlot } = require('./scorer');
-
-// Labels selon score — honnêtes, pas artificiellement positifs
-function scoreLabel(score) {
-  if (score >= 8.5) return 'Exceptionnel';
-  if (score >= 7)   return 'Excellent';
-  if (score >= 5.5) return 'Bon';
-  if (score >= 4)   return 'Moyen';
-  if (score >= 2.5) return 'Médiocre';
-  return 'Mauvais';
-}
+const { scoreConditions } = require('./scoringEngine');
+const { temperScore } = require('./confidence');
 
 // Narrative personnalisée — honnête, tient compte des caveats critiques
 function buildNarrative(scoredSlot, spot) {
-  const { similarSession, score, whyNotPerfect, whyGood, factors } = scoredSlot;
+  const narrative = buildBaseNarrative(scoredSlot, spot);
+  // Prévision lointaine ou modèles en désaccord : ne pas promettre une grosse session
+  if (scoredSlot.score >= 7 && scoredSlot.confidence?.value < 0.5) {
+    return `${narrative} (prévision incertaine, à confirmer)`;
+  }
+  return narrative;
+}
+
+function buildBaseNarrative(scoredSlot, spot) {
+  const { similarSession, whyNotPerfect, whyGood, factors } = scoredSlot;
+  // Les messages enthousiastes suivent le score tempéré par la confiance
+  const score = temperScore(scoredSlot.score, scoredSlot.confidence?.value);
   const caveats = whyNotPerfect || [];
   const positives = whyGood || [];
   const hasCriticalCaveat = caveats.length > 0;
@@ -99,11 +101,11 @@ function buildTimeWindow(slots) {
 
 // Fonction principale — retourne les meilleurs créneaux pour un spot
 function getBestWindows(context, maxWindows = 10) {
-  const { spot, forecast, profile, pastSessions, boards } = context;
+  const { spot, forecast, profile, pastSessions, boards, communityProfile = null, level = null } = context;
 
   // Scorer chaque créneau horaire
   const scored = forecast.map(point => {
-    const result = scoreSlot(point, { profile, spot, pastSessions, boards });
+    const result = scoreConditions(point, { profile, level, spot, pastSessions, boards, communityProfile });
     return { ...result, time: point.time, conditions: point };
   });
 
@@ -135,16 +137,23 @@ function getBestWindows(context, maxWindows = 10) {
         timeWindow,
         peakHour: `${peakHour}h`,
         score: best.score,
-        scoreLabel: scoreLabel(best.score),
+        scoreLabel: best.label,
+        schemaVersion: best.schemaVersion,
+        confidence: best.confidence,
         conditions: {
           waveHeight: best.conditions.waveHeight,
           windSpeed: best.conditions.windSpeed,
           windDirection: best.conditions.windDirection,
           wavePeriod: best.conditions.wavePeriod,
           tidePhase: best.conditions.tidePhase,
+          tideHeight: best.conditions.tideHeight ?? null,
+          tideCoefficient: best.conditions.tideCoefficient ?? null,
           swellHeight: best.conditions.swellHeight,
+          swells: best.conditions.swells || null,
+          windWave: best.conditions.windWave || null,
           waterTemp: best.conditions.waterTemp,
           airTemp: best.conditions.airTemp,
+          spread: best.conditions.spread || null,
         },
         factors: best.factors,
         whyGood: best.whyGood,
@@ -168,14 +177,19 @@ function getBestWindows(context, maxWindows = 10) {
       hour: new Date(s.time).getHours(),
       date: s.time.split('T')[0],
       score: s.score,
+      scoreLabel: s.label,
+      confidence: s.confidence.value,
       conditions: {
         waveHeight: s.conditions.waveHeight,
         windSpeed: s.conditions.windSpeed,
         windDirection: s.conditions.windDirection,
         wavePeriod: s.conditions.wavePeriod,
         tidePhase: s.conditions.tidePhase,
+        tideHeight: s.conditions.tideHeight ?? null,
+        tideCoefficient: s.conditions.tideCoefficient ?? null,
         waterTemp: s.conditions.waterTemp,
         airTemp: s.conditions.airTemp,
+        spread: s.conditions.spread || null,
       },
     }));
 
@@ -185,6 +199,7 @@ function getBestWindows(context, maxWindows = 10) {
     windows,
     hourlyScores,
     calibrationLevel: scored[0]?.calibrationLevel || 0.10,
+    level: scored[0]?.level || null,
     totalSessionsAnalyzed: pastSessions.filter(s => s.meteo).length,
   };
 }
@@ -0,0 +1,56 @@
+// 📊 Client Redis partagé SurfAI (REDIS_URL) — rate limiting, budget des API amont
+// Connecté à la première utilisation ; en cas d'échec, les appelants retombent sur
+// leur mode local (mémoire) au lieu de ralentir les requêtes.
+
+// Après un échec de connexion, Redis n'est pas retenté pendant ce délai
+const REDIS_RETRY_MS = 30 * 1000;
+
+let clientPromise = null;
+let unavailableUntil = 0;
+
+function isRedisConfigured() {
+  return !!process.env.REDIS_URL;
+}
+
+function getRedisClient() {
+  if (!clientPromise) {
+    if (!isRedisConfigured()) return Promise.reject(new Error('REDIS_URL non défini'));
+    if (Date.now() < unavailableUntil) return Promise.reject(new Error('Redis indisponible'));
+    const { createClient } = require('redis');
+    const client = createClient({
+      url: process.env.REDIS_URL,
+      password: process.env.REDIS_PASSWORD || undefined,
+      // Quelques tentatives puis abandon : mieux vaut le mode dégradé que d'attendre Redis
+      socket: {
+        connectTimeout: 2000,
+        reconnectStrategy: (retries) => (retries >= 3 ? new Error('Redis injoignable') : 200 * (retries + 1)),
+      },
+    });
+    // Connexion perdue pour de bon (tentatives épuisées, fermeture) : le client suivant repartira
+    // de zéro après REDIS_RETRY_MS au lieu de resservir un client fermé
+    let pending = null;
+    const discard = () => {
+      if (clientPromise !== pending) return;
+      clientPromise = null;
+      unavailableUntil = Date.now() + REDIS_RETRY_MS;
+    };
+    client.on('error', (err) => {
+      console.warn('⚠️ Redis:', err.message);
+      if (!client.isOpen) discard();
+    });
+    client.on('end', discard);
+    pending = client.connect()
+      .then(() => {
+        console.log('✅ Redis connecté');
+        return client;
+      })
+      .catch((err) => {
+        discard();
+        throw err;
+      });
+    clientPromise = pending;
+  }
+  return clientPromise;
+}
+
+module.exports = { getRedisClient, isRedisConfigured };
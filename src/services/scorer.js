@@ -1,6 +1,11 @@
 // 🎯 Scorer SurfAI — Score composite 0-10 par créneau horaire
 // Spec : docs/superpowers/specs/2026-03-22-moteur-prediction-ia-design.md
 
+const { computeSlotConfidence } = require('./confidence');
+const { breakingHeight, exposureFactor, parseSwellWindow } = require('./swellExposure');
+const { classifyWind, windReference } = require('./forecastUtils');
+const { correctedMeteoValue, effectiveRating, sessionNorms } = require('./sessionDetails');
+
 // Poids de base (somme = 1.0)
 const BASE_WEIGHTS = {
   wind:    0.30,
@@ -10,22 +15,112 @@ const BASE_WEIGHTS = {
   spot:    0.15,
 };
 
+// Poids de base par niveau (somme = 1.0) : un débutant regarde d'abord la taille et le vent,
+// un expert la période et le spot
+const LEVEL_WEIGHTS = {
+  beginner:     { wind: 0.30, waves: 0.30, period: 0.05, history: 0.20, spot: 0.15 },
+  intermediate: BASE_WEIGHTS,
+  advanced:     { wind: 0.25, waves: 0.20, period: 0.20, history: 0.20, spot: 0.15 },
+  expert:       { wind: 0.20, waves: 0.15, period: 0.25, history: 0.20, spot: 0.20 },
+};
+
+// Plafonds de sécurité par niveau : au-delà d'une limite, le score ne peut pas dépasser `cap`
+// (hauteur au déferlement en m, période en s, vent onshore en km/h)
+const LEVEL_CAPS = {
+  beginner: {
+    height:  { max: 1.5, cap: 3 },
+    period:  { max: 13,  cap: 5 },
+    onshore: { max: 15,  cap: 4 },
+  },
+  intermediate: {
+    height:  { max: 2.8, cap: 4 },
+    onshore: { max: 30,  cap: 5 },
+  },
+  advanced: {
+    height:  { max: 4.5, cap: 5 },
+  },
+  expert: {},
+};
+
+// Libellés FR/EN acceptés pour profiles.surf_level
+const LEVEL_ALIASES = {
+  debutant: 'beginner', beginner: 'beginner',
+  intermediaire: 'intermediate', intermediate: 'intermediate',
+  avance: 'advanced', confirme: 'advanced', advanced: 'advanced',
+  expert: 'expert',
+};
+
+function normalizeLevel(level) {
+  const key = String(level || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  return LEVEL_ALIASES[key] || 'intermediate';
+}
+
+// Poids appris (profiles.scoring_weights, écrits par calibration.js) : utilisés seulement
+// si l'ajustement repose sur assez de sessions, bat les poids du niveau et a été appris
+// pour le niveau demandé (un niveau surchargé par la requête repart des poids du niveau)
+const MIN_CALIBRATION_SESSIONS = 10;
+
+function learnedCalibration(profile, level = normalizeLevel(profile?.surf_level)) {
+  const cal = profile?.scoring_weights;
+  if (!cal?.weights || !cal.fit) return null;
+  if (cal.level !== level) return null;
+  if (cal.fit.sessions < MIN_CALIBRATION_SESSIONS || !cal.fit.improved) return null;
+  const keys = Object.keys(BASE_WEIGHTS);
+  if (!keys.every(k => cal.weights[k] >= 0)) return null;
+  return cal;
+}
+
 // Calcul du poids historique progressif selon le nombre de sessions réelles avec météo
-function computeWeights(sessionsWithMeteoCount) {
+// learned : calibration du profil (learnedCalibration) — prime sur les poids du niveau
+function computeWeights(sessionsWithMeteoCount, level = 'intermediate', learned = null) {
+  if (learned) {
+    const total = Object.keys(BASE_WEIGHTS).reduce((sum, k) => sum + learned.weights[k], 0);
+    if (total > 0) {
+      return Object.fromEntries(Object.keys(BASE_WEIGHTS).map(k => [k, learned.weights[k] / total]));
+    }
+  }
+  const base = LEVEL_WEIGHTS[normalizeLevel(level)];
   const h = 0.10 + (0.10 * Math.min(sessionsWithMeteoCount, 20) / 20);
   const remaining = 1 - h;
-  const baseWithoutHistory = 1 - BASE_WEIGHTS.history; // 0.80
+  const baseWithoutHistory = 1 - base.history; // 0.80
   return {
-    wind:    BASE_WEIGHTS.wind    * (remaining / baseWithoutHistory),
-    waves:   BASE_WEIGHTS.waves   * (remaining / baseWithoutHistory),
-    period:  BASE_WEIGHTS.period  * (remaining / baseWithoutHistory),
+    wind:    base.wind    * (remaining / baseWithoutHistory),
+    waves:   base.waves   * (remaining / baseWithoutHistory),
+    period:  base.period  * (remaining / baseWithoutHistory),
     history: h,
-    spot:    BASE_WEIGHTS.spot    * (remaining / baseWithoutHistory),
+    spot:    base.spot    * (remaining / baseWithoutHistory),
   };
 }
 
+// Plafonds de sécurité du niveau → liste des plafonds déclenchés
+function levelCaps(level, { height, period, windSpeedKmh, windType }) {
+  const caps = LEVEL_CAPS[normalizeLevel(level)];
+  const triggered = [];
+  if (caps.height && height > caps.height.max) {
+    triggered.push({ factor: 'height', cap: caps.height.cap, reason: `Trop gros pour ton niveau (${height.toFixed(1)}m au bord)` });
+  }
+  if (caps.period && period > caps.period.max) {
+    triggered.push({ factor: 'period', cap: caps.period.cap, reason: `Houle longue (${Math.round(period)}s) — séries puissantes, prudence` });
+  }
+  const onshore = windType === 'onshore' || windType === 'cross-onshore';
+  if (caps.onshore && onshore && windSpeedKmh > caps.onshore.max) {
+    triggered.push({ factor: 'onshore', cap: caps.onshore.cap, reason: `Vent onshore soutenu (${Math.round(windSpeedKmh)} km/h) — mer hachée` });
+  }
+  return triggered;
+}
+
 // ─── Facteur Vent (0-10) ────────────────────────────────
-function scoreWind(windSpeed, windDirection, idealWindDirections, waveDirection) {
+// Bonus selon l'orientation du vent par rapport à la plage (shore_orientation du spot),
+// à défaut par rapport à la houle
+const WIND_TYPE_BONUS = {
+  'offshore':       2.0,   // offshore pur
+  'cross-offshore': 1.5,
+  'cross-shore':    0,
+  'cross-onshore': -1.0,
+  'onshore':       -1.5,   // onshore pur
+};
+
+function scoreWind(windSpeed, windDirection, idealWindDirections, waveDirection, shoreOrientation = null) {
   // windSpeed en km/h, windDirection en degrés (0-360)
   const speedKmh = windSpeed > 50 ? windSpeed / 3.6 : windSpeed; // si m/s → km/h
 
@@ -33,17 +128,9 @@ function scoreWind(windSpeed, windDirection, idealWindDirections, waveDirection)
   // 0→10, 10→8.5, 15→7.0, 20→5.3, 25→3.7, 30→2.4, 40→0.8
   const speedScore = 10 * Math.exp(-Math.pow(speedKmh / 25, 2));
 
-  // Scoring offshore : compare direction vent vs direction vagues
-  let offshoreBonus = 0;
-  if (windDirection != null && waveDirection != null) {
-    const diff = Math.abs(windDirection - waveDirection);
-    const normalized = diff > 180 ? 360 - diff : diff;
-    if (normalized > 150)      offshoreBonus = 2.0;   // offshore pur
-    else if (normalized > 120) offshoreBonus = 1.5;   // cross-offshore
-    else if (normalized > 60)  offshoreBonus = 0;     // cross-shore
-    else if (normalized > 30)  offshoreBonus = -1.0;  // cross-onshore
-    else                       offshoreBonus = -1.5;  // onshore pur
-  }
+  // Scoring offshore : compare direction vent vs orientation de la plage (ou direction vagues)
+  const wind = classifyWind(windDirection, windReference(waveDirection, shoreOrientation));
+  const offshoreBonus = wind ? WIND_TYPE_BONUS[wind.type] : 0;
 
   // Bonus direction idéale du spot (si connue)
   let spotDirBonus = 0;
@@ -55,9 +142,86 @@ function scoreWind(windSpeed, windDirection, idealWindDirections, waveDirection)
   return Math.min(10, Math.max(0, speedScore + offshoreBonus + spotDirBonus));
 }
 
+// ─── État de mer : houles et mer du vent ────────────────
+// Un groundswell long et propre avec une petite mer du vent par-dessus
+// ne doit pas valoir un train unique et désordonné de même hauteur.
+function angularDiff(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// spot (optionnel) : la hauteur est alors traduite en hauteur au déferlement sur ce spot
+// (fenêtre de houle, abri, amplification — voir swellExposure)
+function analyzeSeaState(slot, spot = null) {
+  const swells = slot.swells || [];
+  const windWave = slot.windWave || null;
+
+  // Fournisseur sans partition → ancien comportement (max vagues / houle)
+  if (!swells.length && !windWave) {
+    const offshoreHeight = Math.max(slot.waveHeight || 0, slot.swellHeight || 0);
+    const breaking = spot && breakingHeight([{
+      height: offshoreHeight,
+      period: slot.wavePeriod,
+      direction: slot.swellDirection ?? slot.waveDirection,
+    }], spot);
+    return {
+      height: breaking ? breaking.height : offshoreHeight,
+      offshoreHeight,
+      exposure: breaking ? breaking.exposure : null,
+      period: slot.wavePeriod,
+      dominant: null,
+      windSeaShare: null,
+      crossSea: false,
+      partitioned: false,
+    };
+  }
+
+  const energy = t => t.height * t.height;
+  const swellEnergy = swells.reduce((sum, t) => sum + energy(t), 0);
+  const windEnergy = windWave ? energy(windWave) : 0;
+  const dominant = swells[0] || windWave; // houles déjà triées par énergie (H² · T)
+
+  // Mer croisée : houle secondaire significative (≥ 30 % de l'énergie) venant d'ailleurs (> 45°)
+  const [primary, secondary] = swells;
+  const crossSea = !!(primary && secondary &&
+    primary.direction != null && secondary.direction != null &&
+    energy(secondary) >= 0.3 * energy(primary) &&
+    angularDiff(primary.direction, secondary.direction) > 45);
+
+  // Taille surfable : énergie cumulée des houles, la mer du vent ne compte que si elle est seule
+  // (meteo stockée : un train peut être à 0 m, sans mer du vent → hauteur globale du slot)
+  const offshoreHeight = swellEnergy > 0 ? Math.sqrt(swellEnergy) : (windWave?.height ?? slot.waveHeight ?? 0);
+  const totalEnergy = swellEnergy + windEnergy;
+  const breaking = spot && totalEnergy > 0 && breakingHeight(swellEnergy > 0 ? swells : [windWave], spot);
+
+  return {
+    height: breaking ? breaking.height : offshoreHeight,
+    offshoreHeight,
+    exposure: breaking ? breaking.exposure : null,
+    period: dominant?.period ?? slot.wavePeriod,
+    dominant,
+    windSeaShare: totalEnergy > 0 ? windEnergy / totalEnergy : 0,
+    crossSea,
+    partitioned: true,
+  };
+}
+
+function surfHeight(slot) {
+  return analyzeSeaState(slot).height;
+}
+
+// Bonus / malus de propreté : -1.5 (mer du vent seule, croisée) à +0.5 (groundswell propre)
+function seaStateBonus(seaState) {
+  if (!seaState.partitioned) return 0;
+  let bonus = 0;
+  if (seaState.windSeaShare < 0.15 && seaState.period >= 11) bonus += 0.5;
+  else if (seaState.windSeaShare > 0.4) bonus -= (seaState.windSeaShare - 0.4) * 2.5;
+  if (seaState.crossSea) bonus -= 0.5;
+  return Math.round(Math.min(0.5, Math.max(-1.5, bonus)) * 10) / 10;
+}
+
 // ─── Facteur Vagues + Houle (0-10) ──────────────────────
-function scoreWaves(waveHeight, swellHeight, profile) {
-  const combined = Math.max(waveHeight || 0, swellHeight || 0);
+function scoreWaves(combined, profile) {
   const min = profile.min_wave_height || 0.8;
   const max = profile.max_wave_height || 2.0;
   const optimal = (min + max) / 2;
@@ -84,15 +248,32 @@ function scorePeriod(period) {
 }
 
 // ─── Facteur Historique (0-10) ──────────────────────────
+// Écart entre le créneau et une session passée : une session longue a traversé une plage
+// de conditions (meteo.aggregate min/max) — aucun écart si la valeur du créneau y tombe.
+// La météo de la session est corrigée par le ressenti du surfeur (taille, vent — sessionDetails)
+function meteoDistance(session, key, value) {
+  const v = value || 0;
+  const correct = x => correctedMeteoValue(session, key, x);
+  const range = session.meteo.aggregate?.[key];
+  if (range?.min != null && range?.max != null) {
+    const min = correct(range.min);
+    const max = correct(range.max);
+    if (v < min) return min - v;
+    if (v > max) return v - max;
+    return 0;
+  }
+  return Math.abs((correct(session.meteo[key]) || 0) - v);
+}
+
 function scoreHistory(slot, pastSessions) {
   // Inclure TOUTES les sessions notées (pas seulement 4+) → apprendre aussi des mauvaises
   const ratedSessions = pastSessions.filter(s => s.rating >= 1 && s.meteo);
   if (ratedSessions.length < 3) return 5; // neutre si pas assez de données
 
   function similarity(s) {
-    const dWave = Math.abs((s.meteo.waveHeight || 0) - (slot.waveHeight || 0)) / 3;
-    const dWind = Math.abs((s.meteo.windSpeed || 0) - (slot.windSpeed || 0)) / 40;
-    const dPeriod = Math.abs((s.meteo.wavePeriod || 0) - (slot.wavePeriod || 0)) / 15;
+    const dWave = meteoDistance(s, 'waveHeight', slot.waveHeight) / 3;
+    const dWind = meteoDistance(s, 'windSpeed', slot.windSpeed) / 40;
+    const dPeriod = meteoDistance(s, 'wavePeriod', slot.wavePeriod) / 15;
 
     // Décroissance temporelle : sessions récentes comptent plus (demi-vie 6 mois)
     const ageInDays = (Date.now() - new Date(s.date).getTime()) / 86400000;
@@ -110,7 +291,9 @@ function scoreHistory(slot, pastSessions) {
     .sort((a, b) => b.sim - a.sim)
     .slice(0, 7);
 
-  const weightedRating = ranked.reduce((sum, { session, sim }) => sum + session.rating * sim, 0);
+  // Note nuancée par la foule, les incidents, les vagues prises et les rides (journal de session détaillé)
+  const norms = sessionNorms(ratedSessions);
+  const weightedRating = ranked.reduce((sum, { session, sim }) => sum + effectiveRating(session, norms) * sim, 0);
   const totalSim = ranked.reduce((sum, { sim }) => sum + sim, 0);
   const avgRating = totalSim > 0 ? weightedRating / totalSim : 3;
 
@@ -126,7 +309,11 @@ function scoreSpot(slot, spot) {
     if (spot.ideal_wind.includes(dir)) score += 2.5;
   }
 
-  if (spot.ideal_swell?.length > 0 && slot.swellDirection !== null) {
+  // Fenêtre de houle déclarée → bonus proportionnel à l'exposition du spot à la houle dominante
+  const swellDirection = slot.swells?.[0]?.direction ?? slot.swellDirection;
+  if (parseSwellWindow(spot) && swellDirection != null) {
+    score += 2.5 * exposureFactor(swellDirection, spot);
+  } else if (spot.ideal_swell?.length > 0 && slot.swellDirection != null) {
     const dir = degreesToCardinal(slot.swellDirection);
     if (spot.ideal_swell.includes(dir)) score += 2.5;
   }
@@ -136,9 +323,24 @@ function scoreSpot(slot, spot) {
 
 // ─── Bonus Marée ────────────────────────────────────────
 // Impact réel sur le Pays Basque : la marée peut rendre un spot dangereux ou parfait
-function tideBonus(tidePhase, idealTide, spot) {
-  if (!tidePhase || tidePhase === 'unknown') return 0;
+// On compare le niveau relatif du créneau (tideLevel : 0 = basse mer, 1 = pleine mer du jour)
+// à la plage idéale du spot : ideal_tide_min / ideal_tide_max (même échelle 0-1),
+// sinon déduite des catégories ideal_tide (low / mid / high).
+const TIDE_CATEGORY_LEVELS = { low: [0, 0.3], mid: [0.3, 0.7], high: [0.7, 1] };
+
+function idealTideLevels(spot) {
+  if (spot?.ideal_tide_min != null || spot?.ideal_tide_max != null) {
+    return [[spot.ideal_tide_min ?? 0, spot.ideal_tide_max ?? 1]];
+  }
+  return (spot?.ideal_tide || []).map(c => TIDE_CATEGORY_LEVELS[c]).filter(Boolean);
+}
 
+function distanceToLevels(level, ranges) {
+  return Math.min(...ranges.map(([min, max]) => (level < min ? min - level : level > max ? level - max : 0)));
+}
+
+// Ancien calcul sur la seule phase — quand le niveau de marée n'est pas connu (pas d'extrêmes)
+function tidePhaseBonus(tidePhase, idealTide) {
   // Spot sans info marée → privilégier mi-marée par défaut
   if (!idealTide?.length) {
     if (tidePhase === 'rising' || tidePhase === 'falling') return 0.8;  // mi-marée = bon par défaut
@@ -167,12 +369,48 @@ function tideBonus(tidePhase, idealTide, spot) {
   return -0.5;
 }
 
+function tideBonus(slot, spot) {
+  const { tidePhase, tideLevel, tideCoefficient, nextTideType, minutesToNextTide } = slot || {};
+  if (!tidePhase || tidePhase === 'unknown') return 0;
+  if (tideLevel == null) return tidePhaseBonus(tidePhase, spot?.ideal_tide);
+
+  const ranges = idealTideLevels(spot);
+  let bonus;
+  let distance = 0;
+  if (!ranges.length) {
+    // Pas de préférence déclarée → mi-marée par défaut, léger malus à l'approche de la pleine mer
+    bonus = tideLevel < 0.3 ? 0 : tideLevel > 0.7 ? -0.5 : 0.8;
+  } else {
+    // Dans la plage → +1.5 ; 0.1 en dehors → +0.5 ; 0.3 et plus → -1.5 (marée opposée)
+    distance = distanceToLevels(tideLevel, ranges);
+    bonus = Math.max(-1.5, 1.5 - distance * 10);
+  }
+
+  if (ranges.length && nextTideType && minutesToNextTide != null) {
+    const nextLevel = nextTideType === 'high' ? 1 : 0;
+    if (distance > 0 && distanceToLevels(nextLevel, ranges) < distance) {
+      // Hors plage mais la marée y revient → pénalité réduite de moitié
+      if (bonus < 0) bonus /= 2;
+    } else if (distance === 0 && minutesToNextTide <= 60 && distanceToLevels(nextLevel, ranges) > 0) {
+      // Dans la plage mais la fenêtre se referme avant l'étale
+      bonus *= 0.7;
+    }
+  }
+
+  // Coefficient : à 40 le niveau bouge peu (spot tolérant), à 110 il sort vite de sa plage idéale
+  if (bonus < 0 && tideCoefficient) {
+    bonus *= Math.min(1.4, Math.max(0.6, 0.5 + tideCoefficient / 140));
+  }
+
+  return Math.round(bonus * 10) / 10;
+}
+
 // ─── Board Suggestion ───────────────────────────────────
 // Attention : beaucoup de surfeurs n'ont qu'une board et surfent tout avec.
 // La suggestion doit être utile, pas culpabilisante.
 function suggestBoard(slot, pastSessions, boards) {
   if (!boards?.length) return null;
-  const waveH = Math.max(slot.waveHeight || 0, slot.swellHeight || 0);
+  const waveH = surfHeight(slot);
 
   // Cas 1 : Une seule board → pas besoin de suggérer, c'est évident
   if (boards.length === 1) {
@@ -265,7 +503,7 @@ function degreesToCardinal(deg) {
 }
 
 // ─── Explications lisibles ────────────────────────────────
-function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotScore, profile, spot, similarSession) {
+function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotScore, profile, spot, similarSession, seaState = analyzeSeaState(slot, spot)) {
   const reasons = [];   // pourquoi c'est bien
   const caveats = [];   // points d'attention
 
@@ -275,10 +513,9 @@ function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotSco
     reasons.push('Conditions glassy — quasi pas de vent');
   } else if (windScore >= 7) {
     // Vérifier si c'est grâce à l'offshore
-    if (slot.windDirection != null && slot.waveDirection != null) {
-      const diff = Math.abs(slot.windDirection - slot.waveDirection);
-      const norm = diff > 180 ? 360 - diff : diff;
-      if (norm > 120) reasons.push('Vent offshore — vagues propres et creuses');
+    const wind = classifyWind(slot.windDirection, windReference(slot.waveDirection, spot?.shore_orientation));
+    if (wind) {
+      if (wind.angle > 120) reasons.push('Vent offshore — vagues propres et creuses');
       else reasons.push('Vent modéré et bien orienté');
     } else {
       reasons.push('Vent faible (' + Math.round(speedKmh) + ' km/h)');
@@ -289,7 +526,7 @@ function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotSco
   }
 
   // --- Vagues ---
-  const waveH = Math.max(slot.waveHeight || 0, slot.swellHeight || 0);
+  const waveH = seaState.height;
   if (wavesScore >= 8) {
     reasons.push('Vagues parfaites pour toi (' + waveH.toFixed(1) + 'm)');
   } else if (wavesScore >= 6) {
@@ -302,21 +539,38 @@ function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotSco
     }
   }
 
+  if (seaState.exposure != null && seaState.exposure < 0.5 && seaState.offshoreHeight >= 1) {
+    caveats.push('Spot abrité de cette houle — ' + seaState.offshoreHeight.toFixed(1) + 'm au large, bien moins au bord');
+  }
+
   // --- Période ---
-  const period = slot.wavePeriod || 0;
+  const period = seaState.period || 0;
   if (period >= 12) {
     reasons.push('Période longue (' + Math.round(period) + 's) — vagues puissantes et espacées');
   } else if (period > 0 && period < 7) {
     caveats.push('Période courte (' + Math.round(period) + 's) — vagues désorganisées');
   }
 
+  // --- État de mer ---
+  if (seaState.partitioned) {
+    if (seaState.windSeaShare < 0.15 && period >= 11 && slot.windWave) {
+      reasons.push('Houle de fond propre, à peine troublée par la mer du vent');
+    } else if (seaState.windSeaShare > 0.5) {
+      caveats.push('Mer du vent dominante — vagues désordonnées');
+    }
+    if (seaState.crossSea) caveats.push('Mer croisée — deux houles de directions différentes');
+  }
+
   // --- Marée ---
+  const tideLabel = { low: 'basse', high: 'haute', rising: 'montante', falling: 'descendante' };
+  const coefText = slot.tideCoefficient ? ' (coef ' + slot.tideCoefficient + ')' : '';
   if (tideAdj >= 1.0) {
-    const tideLabel = { low: 'basse', high: 'haute', rising: 'montante', falling: 'descendante' };
-    reasons.push('Marée ' + (tideLabel[slot.tidePhase] || slot.tidePhase) + ' — idéale pour ce spot');
+    reasons.push('Marée ' + (tideLabel[slot.tidePhase] || slot.tidePhase) + coefText + ' — idéale pour ce spot');
   } else if (tideAdj <= -1.0) {
-    const tideLabel = { low: 'basse', high: 'haute', rising: 'montante', falling: 'descendante' };
-    caveats.push('Marée ' + (tideLabel[slot.tidePhase] || slot.tidePhase) + ' — pas idéale pour ce spot');
+    caveats.push('Marée ' + (tideLabel[slot.tidePhase] || slot.tidePhase) + coefText + ' — pas idéale pour ce spot');
+  }
+  if (slot.tideCoefficient >= 100 && Math.abs(tideAdj) >= 0.5) {
+    caveats.push('Gros coefficient — la marée change vite, le créneau peut être court');
   }
 
   // --- Session similaire ---
@@ -334,7 +588,10 @@ function buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotSco
 function scoreCommunity(slot, communityProfile) {
   if (!communityProfile || communityProfile.confidence < 0.3) return { bonus: 0, active: false };
 
-  const waveH = Math.max(slot.waveHeight || 0, slot.swellHeight || 0);
+  // size_bias (-1 à 1) : taille ressentie moyenne des surfeurs par rapport à la prévision
+  // (voir communityProfile.buildCommunityProfile) — les fourchettes communautaires sont en taille ressentie
+  const sizeBias = Math.max(-1, Math.min(1, communityProfile.size_bias || 0));
+  const waveH = surfHeight(slot) * (1 + 0.2 * sizeBias);
   let bonus = 0;
 
   // Les conditions matchent le sweet spot communautaire ?
@@ -376,16 +633,26 @@ function scoreCommunity(slot, communityProfile) {
 
 // ─── Fonction principale ─────────────────────────────────
 function scoreSlot(slot, context) {
-  const { profile, spot, pastSessions = [], boards = [], communityProfile = null } = context;
+  const { profile, spot, pastSessions = [], boards = [], communityProfile = null, now = Date.now() } = context;
+  // Niveau : surcharge de la requête, sinon celui du profil
+  const level = normalizeLevel(context.level || profile?.surf_level);
   const sessionsWithMeteo = pastSessions.filter(s => s.meteo).length;
-  const weights = computeWeights(sessionsWithMeteo);
-
-  const windScore    = scoreWind(slot.windSpeed, slot.windDirection, spot.ideal_wind, slot.waveDirection);
-  const wavesScore   = scoreWaves(slot.waveHeight, slot.swellHeight, profile);
-  const periodScore  = scorePeriod(slot.wavePeriod);
+  const learned = learnedCalibration(profile, level);
+  const weights = computeWeights(sessionsWithMeteo, level, learned);
+  // Courbe de taille apprise : remplace la fourchette déclarée du profil
+  const waveProfile = learned?.wavePreference
+    ? { ...profile, min_wave_height: learned.wavePreference.min, max_wave_height: learned.wavePreference.max }
+    : profile;
+
+  const windScore    = scoreWind(slot.windSpeed, slot.windDirection, spot.ideal_wind, slot.waveDirection, spot.shore_orientation);
+  const seaState     = analyzeSeaState(slot, spot);
+  const windType     = classifyWind(slot.windDirection, windReference(slot.waveDirection, spot.shore_orientation))?.type ?? null;
+  const wavesScore   = scoreWaves(seaState.height, waveProfile);
+  const periodScore  = scorePeriod(seaState.period);
   const historyScore = scoreHistory(slot, pastSessions);
   const spotScore    = scoreSpot(slot, spot);
-  const tideAdj      = tideBonus(slot.tidePhase, spot.ideal_tide, spot);
+  const tideAdj      = tideBonus(slot, spot);
+  const seaStateAdj  = seaStateBonus(seaState);
 
   const community = scoreCommunity(slot, communityProfile);
 
@@ -396,6 +663,7 @@ function scoreSlot(slot, context) {
     historyScore * weights.history +
     spotScore    * weights.spot   +
     tideAdj +
+    seaStateAdj +
     community.bonus;
 
   // Plafonnement réaliste : si les conditions de base (vent + vagues) sont mauvaises,
@@ -410,6 +678,11 @@ function scoreSlot(slot, context) {
     cappedScore = Math.min(rawScore, 5.5);
   }
 
+  // Plafonds de sécurité du niveau (taille, période, onshore) — ils priment sur tout le reste
+  const speedKmh = (slot.windSpeed || 0) > 50 ? (slot.windSpeed || 0) / 3.6 : (slot.windSpeed || 0);
+  const caps = levelCaps(level, { height: seaState.height, period: seaState.period, windSpeedKmh: speedKmh, windType });
+  caps.forEach(c => { cappedScore = Math.min(cappedScore, c.cap); });
+
   const score = Math.round(Math.min(10, Math.max(0, cappedScore)) * 10) / 10;
 
   const boardSuggestion = score >= 6 ? suggestBoard(slot, pastSessions, boards) : null;
@@ -425,29 +698,70 @@ function scoreSlot(slot, context) {
     })[0];
   }
 
-  const why = buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotScore, profile, spot, similarSession);
+  const why = buildWhyGood(slot, windScore, wavesScore, periodScore, tideAdj, spotScore, waveProfile, spot, similarSession, seaState);
+
+  // Fiabilité de la prévision (échéance, désaccord des modèles, données manquantes)
+  const confidence = computeSlotConfidence(slot, now);
 
   return {
     score,
+    confidence,
     factors: {
-      wind:    { score: Math.round(windScore * 10) / 10,    weight: weights.wind },
-      waves:   { score: Math.round(wavesScore * 10) / 10,   weight: weights.waves },
+      wind:    { score: Math.round(windScore * 10) / 10,    weight: weights.wind, type: windType },
+      waves:   {
+        score: Math.round(wavesScore * 10) / 10,
+        weight: weights.waves,
+        breakingHeight: Math.round(seaState.height * 10) / 10,
+        offshoreHeight: Math.round(seaState.offshoreHeight * 10) / 10,
+        exposure: seaState.exposure,
+      },
       period:  { score: Math.round(periodScore * 10) / 10,  weight: weights.period },
       history: { score: Math.round(historyScore * 10) / 10, weight: weights.history, basedOnSessions: sessionsWithMeteo },
       spot:    { score: Math.round(spotScore * 10) / 10,     weight: weights.spot },
       tide:    { bonus: tideAdj },
+      seaState: {
+        bonus: seaStateAdj,
+        dominant: seaState.dominant,
+        windSeaShare: seaState.windSeaShare != null ? Math.round(seaState.windSeaShare * 100) / 100 : null,
+        crossSea: seaState.crossSea,
+      },
       community: community,
     },
+    level,
+    caps,
+    weightsSource: learned ? 'learned' : 'level',
     whyGood: community.active && community.bonus > 0
       ? [...why.whyGood, `👥 Confirmé par ${community.sessionCount} sessions terrain (confiance ${Math.round(community.confidence * 100)}%)`]
       : why.whyGood,
-    whyNotPerfect: community.active && community.bonus < 0
-      ? [...why.whyNotPerfect, `👥 Retours terrain mitigés sur ce spot dans ces conditions`]
-      : why.whyNotPerfect,
+    whyNotPerfect: [
+      ...caps.map(c => c.reason),
+      ...why.whyNotPerfect,
+      ...(community.active && community.bonus < 0 ? ['👥 Retours terrain mitigés sur ce spot dans ces conditions'] : []),
+    ],
     boardSuggestion,
     similarSession,
     calibrationLevel: Math.round(weights.history * 100) / 100,
   };
 }
 
-module.exports = { scoreSlot, computeWeights, degreesToCardinal, buildWhyGood };
+module.exports = {
+  scoreSlot,
+  computeWeights,
+  learnedCalibration,
+  scoreWind,
+  scoreWaves,
+  scorePeriod,
+  scoreHistory,
+  seaStateBonus,
+  normalizeLevel,
+  degreesToCardinal,
+  buildWhyGood,
+  scoreSpot,
+  tideBonus,
+  analyzeSeaState,
+  surfHeight,
+  LEVEL_WEIGHTS,
+  LEVEL_CAPS,
+  BASE_WEIGHTS,
+  MIN_CALIBRATION_SESSIONS,
+};
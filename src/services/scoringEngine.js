@@ -0,0 +1,109 @@
+// 🧮 Moteur de score SurfAI — point d'entrée unique pour toutes les routes
+// /weather/forecast, /weather/smart-slots, /predictions/* et la qualité calculée par les
+// fournisseurs passent tous par scoreConditions → scorer.scoreSlot, pour qu'une même heure
+// reçoive la même note partout.
+// Sortie versionnée (schemaVersion) : score 0-10, libellé, confiance, facteurs, explications,
+// et un bloc legacy (quality / personalizedScore / rating sur l'ancienne échelle 1-5).
+
+const { scoreSlot } = require('./scorer');
+const { temperScore } = require('./confidence');
+
+const SCHEMA_VERSION = 2;
+
+// Profils par défaut quand on ne connaît que le niveau déclaré (fourchettes de l'ancien predictionService)
+const LEVEL_PROFILES = {
+  beginner:     { surf_level: 'beginner',     min_wave_height: 0.5, max_wave_height: 1.2 },
+  intermediate: { surf_level: 'intermediate', min_wave_height: 0.8, max_wave_height: 2.0 },
+  advanced:     { surf_level: 'advanced',     min_wave_height: 1.2, max_wave_height: 3.0 },
+  expert:       { surf_level: 'expert',       min_wave_height: 1.5, max_wave_height: 5.0 },
+};
+
+function profileForLevel(level) {
+  return LEVEL_PROFILES[level] || LEVEL_PROFILES.intermediate;
+}
+
+// Labels selon score — honnêtes, pas artificiellement positifs
+// La confiance tempère les libellés : un 9/10 à J+5 reste "Excellent", pas "Exceptionnel"
+function scoreLabel(rawScore, confidence = null) {
+  const score = temperScore(rawScore, confidence);
+  if (score >= 8.5) return 'Exceptionnel';
+  if (score >= 7)   return 'Excellent';
+  if (score >= 5.5) return 'Bon';
+  if (score >= 4)   return 'Moyen';
+  if (score >= 2.5) return 'Médiocre';
+  return 'Mauvais';
+}
+
+// ─── Compatibilité échelle 1-5 ──────────────────────────
+// 0/10 → 1, 10/10 → 5
+function toLegacyScore(score) {
+  return Math.round((1 + score * 0.4) * 10) / 10;
+}
+
+function legacyRating(legacyScore) {
+  if (legacyScore >= 4.5) return 'Excellent';
+  if (legacyScore >= 3.5) return 'Très bon';
+  if (legacyScore >= 2.5) return 'Bon';
+  if (legacyScore >= 1.5) return 'Moyen';
+  return 'Médiocre';
+}
+
+// ─── Scoring ────────────────────────────────────────────
+// slot : point horaire au format fournisseur (waveHeight, windSpeed en km/h, directions en °…)
+// options.profile prime sur options.userLevel (profil par défaut du niveau) ;
+// options.level surcharge le niveau du profil (poids et plafonds de sécurité) ;
+// spot optionnel (conditions idéales, exposition…)
+function scoreConditions(slot, options = {}) {
+  const {
+    profile = null,
+    level = null,
+    userLevel = 'intermediate',
+    spot = null,
+    pastSessions = [],
+    boards = [],
+    communityProfile = null,
+    now = Date.now(),
+  } = options;
+
+  const result = scoreSlot(slot, {
+    profile: profile || profileForLevel(level || userLevel),
+    level,
+    spot: spot || {},
+    pastSessions,
+    boards,
+    communityProfile,
+    now,
+  });
+
+  const legacyScore = toLegacyScore(result.score);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    score: result.score,
+    label: scoreLabel(result.score, result.confidence.value),
+    confidence: result.confidence,
+    factors: result.factors,
+    level: result.level,
+    caps: result.caps,
+    weightsSource: result.weightsSource,
+    whyGood: result.whyGood,
+    whyNotPerfect: result.whyNotPerfect,
+    boardSuggestion: result.boardSuggestion,
+    similarSession: result.similarSession,
+    calibrationLevel: result.calibrationLevel,
+    legacy: {
+      quality: legacyScore,
+      personalizedScore: legacyScore,
+      rating: legacyRating(legacyScore),
+    },
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  LEVEL_PROFILES,
+  scoreConditions,
+  scoreLabel,
+  profileForLevel,
+  toLegacyScore,
+  legacyRating,
+};
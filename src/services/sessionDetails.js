@@ -0,0 +1,130 @@
+// 📝 Journal de session détaillé SurfAI — champs optionnels et signaux d'apprentissage
+// Au-delà de la note, le surfeur peut décrire sa session : vagues prises, plus longue ride,
+// monde à l'eau, taille ressentie par rapport à la prévision, vent ressenti, incidents.
+// Ces retours corrigent la météo capturée (un modèle se trompe de taille ou de vent), nuancent
+// la note (une session notée 2/5 à cause de la foule ou d'une planche cassée n'avait pas de
+// mauvaises conditions) et donnent au profil communautaire son biais de taille (size_bias).
+
+const CROWD_LEVELS = ['empty', 'few', 'moderate', 'crowded', 'packed'];
+const PERCEIVED_SIZES = ['smaller', 'as_forecast', 'bigger'];
+const WIND_FELT = ['glassy', 'bumpy', 'blown_out'];
+const INCIDENT_TYPES = ['injury', 'board_damage', 'collision', 'rip_current', 'equipment_loss', 'other'];
+
+// Champ de l'API (camelCase) → colonne de la table sessions
+const DETAIL_FIELDS = {
+  wavesCaught:    'waves_caught',
+  longestRideSec: 'longest_ride_sec',
+  crowdLevel:     'crowd_level',
+  perceivedSize:  'perceived_size',
+  windFelt:       'wind_felt',
+  incidents:      'incidents',
+};
+
+// Colonnes renseignées dans le corps de requête (camelCase ou nom de colonne) ; null efface
+function pickSessionDetails(body = {}) {
+  const details = {};
+  Object.entries(DETAIL_FIELDS).forEach(([field, column]) => {
+    const value = body[field] !== undefined ? body[field] : body[column];
+    if (value === undefined) return;
+    if (value === null) details[column] = null;
+    else if (column === 'waves_caught' || column === 'longest_ride_sec') details[column] = parseInt(value);
+    else if (column === 'incidents') details[column] = [...new Set(value)];
+    else details[column] = value;
+  });
+  return details;
+}
+
+// ─── Signaux d'apprentissage ────────────────────────────
+// Taille ressentie : la houle était en réalité plus petite / plus grosse que la météo capturée
+const PERCEIVED_SIZE_FACTOR = { smaller: 0.8, as_forecast: 1, bigger: 1.25 };
+// Incidents sans lien avec les conditions : ils expliquent une mauvaise note
+// (rip_current et other peuvent tenir aux conditions, ils ne nuancent rien)
+const UNRELATED_INCIDENTS = ['injury', 'board_damage', 'collision', 'equipment_loss'];
+// Vent ressenti : plafond (glassy) ou plancher (blown_out) du vent capturé, en km/h
+const WIND_FELT_BOUNDS = { glassy: { max: 8 }, bumpy: { min: 12 }, blown_out: { min: 30 } };
+
+// Valeur météo de la session corrigée par le ressenti du surfeur
+function correctedMeteoValue(session, key, value) {
+  if (value == null) return value;
+  if (key === 'waveHeight' || key === 'swellHeight') {
+    return value * (PERCEIVED_SIZE_FACTOR[session.perceived_size] || 1);
+  }
+  if (key === 'windSpeed') {
+    const bounds = WIND_FELT_BOUNDS[session.wind_felt];
+    if (!bounds) return value;
+    return Math.min(bounds.max ?? Infinity, Math.max(bounds.min ?? -Infinity, value));
+  }
+  return value;
+}
+
+// Note effective (1-5) : la note, nuancée par la foule, les incidents, les vagues prises
+// et la plus longue ride
+// norms : médianes du surfeur (sessionNorms), null quand trop peu de sessions sont renseignées
+function effectiveRating(session, norms = {}) {
+  const { medianWaves = null, medianRide = null } = norms;
+  let rating = session.rating;
+
+  // Mauvaise note sous la foule ou après un incident : les conditions valaient mieux que la session
+  if (rating <= 3) {
+    if (session.crowd_level === 'packed') rating += 0.5;
+    else if (session.crowd_level === 'crowded') rating += 0.25;
+    if ((session.incidents || []).some(i => UNRELATED_INCIDENTS.includes(i))) rating += 0.5;
+  }
+
+  // Beaucoup plus (ou moins) de vagues que d'habitude : signal d'engagement, ±0.5 max
+  if (medianWaves > 0 && session.waves_caught != null) {
+    const relative = (session.waves_caught - medianWaves) / medianWaves;
+    rating += Math.max(-0.5, Math.min(0.5, relative * 0.5));
+  }
+
+  // Rides plus longues que d'habitude : vagues mieux formées, ±0.25 max
+  if (medianRide > 0 && session.longest_ride_sec != null) {
+    const relative = (session.longest_ride_sec - medianRide) / medianRide;
+    rating += Math.max(-0.25, Math.min(0.25, relative * 0.25));
+  }
+
+  return Math.max(1, Math.min(5, rating));
+}
+
+function median(values) {
+  const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+  if (sorted.length < 3) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Médianes d'un surfeur pour effectiveRating
+function sessionNorms(sessions) {
+  return {
+    medianWaves: median(sessions.map(s => s.waves_caught)),
+    medianRide: median(sessions.map(s => s.longest_ride_sec)),
+  };
+}
+
+// ─── Profil communautaire ───────────────────────────────
+// size_bias (-1 à 1) : taille ressentie moyenne des surfeurs par rapport à la prévision, sur les
+// perceived_size des snapshots du spot (smaller = -1, as_forecast = 0, bigger = 1).
+// null en deçà de MIN_COMMUNITY_SIZE_FEEDBACK retours
+const PERCEIVED_SIZE_BIAS = { smaller: -1, as_forecast: 0, bigger: 1 };
+const MIN_COMMUNITY_SIZE_FEEDBACK = 5;
+
+function communitySizeBias(snapshots) {
+  const values = snapshots.map(s => PERCEIVED_SIZE_BIAS[s.perceived_size]).filter(v => v != null);
+  if (values.length < MIN_COMMUNITY_SIZE_FEEDBACK) return { size_bias: null, size_feedback: values.length };
+  const bias = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return { size_bias: Math.round(bias * 100) / 100, size_feedback: values.length };
+}
+
+module.exports = {
+  CROWD_LEVELS,
+  PERCEIVED_SIZES,
+  WIND_FELT,
+  INCIDENT_TYPES,
+  DETAIL_FIELDS,
+  pickSessionDetails,
+  correctedMeteoValue,
+  effectiveRating,
+  sessionNorms,
+  communitySizeBias,
+  PERCEIVED_SIZE_FACTOR,
+};
@@ -0,0 +1,277 @@
+// 🕰️ Météo des sessions SurfAI — conditions réelles pendant la session
+// Une session saisie après coup (hier, la semaine dernière) doit recevoir les conditions
+// de son heure, pas celles du prochain point de prévision : au-delà d'une heure dans le passé
+// on interroge l'historique (hindcast Stormglass, archive Open-Meteo).
+
+const forecastProvider = require('./forecastProvider');
+const tidePredictor = require('./tidePredictor');
+const { enrichPoint } = require('./tideContext');
+const { getStation } = require('./tideStations');
+
+// En deçà, la prévision courante couvre encore l'heure de la session
+const HISTORICAL_THRESHOLD_MIN = 60;
+// Fenêtre demandée autour de l'heure de session pour l'historique
+const HISTORICAL_WINDOW_H = 3;
+// Au-delà, le point trouvé ne décrit plus la session : pas de météo plutôt qu'une fausse
+const MAX_MATCH_OFFSET_MIN = 180;
+// Durée maximale acceptée pour une session (start → end)
+const MAX_SESSION_DURATION_MIN = 8 * 60;
+// Grandeurs agrégées sur la durée de la session
+const AGGREGATED_FIELDS = ['waveHeight', 'wavePeriod', 'windSpeed', 'swellHeight'];
+
+// Heures saisies par le surfeur : heure locale des spots (France), pas celle du serveur (UTC sur Vercel)
+const SESSION_TIME_ZONE = 'Europe/Paris';
+
+// Décalage (ms) du fuseau par rapport à UTC à un instant donné, heure d'été comprise
+function timeZoneOffsetMs(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(ms));
+  const part = type => parseInt(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+// YYYY-MM-DD + HH:MM[:SS] lus dans timeZone → Date ; null si invalide
+function zonedDateTime(day, time, timeZone = SESSION_TIME_ZONE) {
+  const d = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day);
+  const t = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+  if (!d || !t) return null;
+  const [year, month, date] = d.slice(1).map(Number);
+  const [hour, minute, second = 0] = t.slice(1).filter(Boolean).map(Number);
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  const wallClock = Date.UTC(year, month - 1, date, hour, minute, second);
+  // 2026-02-30 → 2 mars : refusé
+  if (new Date(wallClock).getUTCDate() !== date || new Date(wallClock).getUTCMonth() !== month - 1) return null;
+  // Le décalage dépend de l'instant cherché : second passage pour les jours de changement d'heure
+  let ms = wallClock - timeZoneOffsetMs(wallClock, timeZone);
+  ms = wallClock - timeZoneOffsetMs(ms, timeZone);
+  return new Date(ms);
+}
+
+// Heure de la session (date ISO ou YYYY-MM-DD + time HH:MM optionnel, heure de France)
+// Sans date : maintenant ; date ou heure invalide : null
+function sessionDateTime(date, time) {
+  if (!date) return new Date();
+  const day = String(date).split('T')[0];
+  const t = time ? zonedDateTime(day, String(time)) : new Date(date);
+  return t && !isNaN(t.getTime()) ? t : null;
+}
+
+// Fin de session : même jour que le début, strictement après lui ; null si absente ou invalide
+function sessionEndDateTime(date, startTime, endTime) {
+  if (!endTime) return null;
+  const start = sessionDateTime(date, startTime);
+  const end = sessionDateTime(date, endTime);
+  return start && end && end > start ? end : null;
+}
+
+function closestPoint(forecast, timestampSec) {
+  return (forecast || []).reduce((best, p) =>
+    !best || Math.abs(p.timestamp - timestampSec) < Math.abs(best.timestamp - timestampSec) ? p : best
+  , null);
+}
+
+// Marée à l'heure de la session par prédiction harmonique (hors ligne, valable dans le passé)
+// Extrêmes encadrants ±7 h → phase, hauteur, niveau relatif et coefficient ; {} sans station proche
+async function sessionTide(spot, sessionTime) {
+  try {
+    const startMs = sessionTime.getTime() - 7 * 3600000;
+    const extremes = await tidePredictor.getTideExtremes(spot.lat, spot.lng, 14 / 24, startMs);
+    if (!extremes.length) return {};
+    const tide = enrichPoint({ timestamp: Math.floor(sessionTime.getTime() / 1000) }, extremes, getStation(extremes[0].station));
+    return {
+      tidePhase: tide.tidePhase ?? null,
+      tideHeight: tide.tideHeight ?? null,
+      tideLevel: tide.tideLevel ?? null,
+      tideCoefficient: tide.tideCoefficient ?? null,
+    };
+  } catch (e) {
+    console.warn('⚠️ Marée session indisponible:', e.message);
+    return {};
+  }
+}
+
+const round1 = v => Math.round(v * 10) / 10;
+
+// Min / max / moyenne d'une grandeur sur les points de la session (null si aucune valeur)
+function aggregateField(points, key) {
+  const values = points.map(p => p[key]).filter(v => v != null && !isNaN(v));
+  if (!values.length) return null;
+  return {
+    min: round1(Math.min(...values)),
+    max: round1(Math.max(...values)),
+    mean: round1(values.reduce((a, b) => a + b, 0) / values.length),
+  };
+}
+
+// Moyenne circulaire d'une direction en degrés
+function meanDirection(points, key) {
+  const dirs = points.map(p => p[key]).filter(v => v != null && !isNaN(v));
+  if (!dirs.length) return null;
+  const x = dirs.reduce((sum, d) => sum + Math.cos(d * Math.PI / 180), 0);
+  const y = dirs.reduce((sum, d) => sum + Math.sin(d * Math.PI / 180), 0);
+  return Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+}
+
+// Conditions du spot pendant la session
+// sessionTime : début ; endTime (optionnel) : fin → conditions agrégées sur toute la durée
+// (min / max / moyenne dans meteo.aggregate, valeurs moyennes au premier niveau, marée au
+// début et à la fin). Retourne l'objet meteo de la session, avec source et écart de recalage, ou null
+async function captureSessionMeteo(spot, sessionTime, endTime = null) {
+  const timestampSec = Math.floor(sessionTime.getTime() / 1000);
+  const endSec = endTime ? Math.floor(endTime.getTime() / 1000) : timestampSec;
+  const ageMin = (Date.now() / 1000 - timestampSec) / 60;
+  const historical = ageMin > HISTORICAL_THRESHOLD_MIN;
+  const forecastDays = Math.max(1, Math.ceil((endSec - Date.now() / 1000) / 86400));
+
+  const weatherData = historical
+    ? await forecastProvider.getHistorical(
+      spot.lat,
+      spot.lng,
+      timestampSec - HISTORICAL_WINDOW_H * 3600,
+      endSec + HISTORICAL_WINDOW_H * 3600
+    )
+    : await forecastProvider.getForecast(spot.lat, spot.lng, forecastDays);
+
+  const closest = closestPoint(weatherData.forecast, timestampSec);
+  if (!closest) return null;
+
+  const matchOffsetMin = Math.round(Math.abs(closest.timestamp - timestampSec) / 60);
+  if (matchOffsetMin > MAX_MATCH_OFFSET_MIN) {
+    console.warn(`⚠️ Météo session: point le plus proche à ${matchOffsetMin} min, ignoré`);
+    return null;
+  }
+
+  const meta = {
+    source: weatherData.source,
+    mode: historical ? 'historical' : 'forecast',
+    matchedTime: closest.time,
+    matchOffsetMin,
+  };
+  const tideStart = await sessionTide(spot, sessionTime);
+
+  // Points horaires couvrant la session (à la demi-heure près) ; à défaut, point unique
+  const windowPoints = endTime
+    ? weatherData.forecast.filter(p => p.timestamp >= timestampSec - 1800 && p.timestamp <= endSec + 1800)
+    : [];
+
+  if (windowPoints.length === 0) {
+    return {
+      waveHeight: closest.waveHeight,
+      wavePeriod: closest.wavePeriod,
+      waveDirection: closest.waveDirection ?? null,
+      windSpeed: closest.windSpeed,
+      windDirection: closest.windDirection,
+      swellHeight: closest.swellHeight,
+      swellDirection: closest.swellDirection ?? null,
+      ...tideStart,
+      ...meta,
+    };
+  }
+
+  const aggregate = Object.fromEntries(AGGREGATED_FIELDS.map(key => [key, aggregateField(windowPoints, key)]));
+  const tideEnd = await sessionTide(spot, endTime);
+
+  return {
+    waveHeight: aggregate.waveHeight?.mean ?? null,
+    wavePeriod: aggregate.wavePeriod?.mean ?? null,
+    waveDirection: meanDirection(windowPoints, 'waveDirection'),
+    windSpeed: aggregate.windSpeed?.mean ?? null,
+    windDirection: meanDirection(windowPoints, 'windDirection'),
+    swellHeight: aggregate.swellHeight?.mean ?? null,
+    swellDirection: meanDirection(windowPoints, 'swellDirection'),
+    ...tideStart,
+    tideEnd: Object.keys(tideEnd).length ? tideEnd : null,
+    aggregate: {
+      ...aggregate,
+      points: windowPoints.length,
+      start: sessionTime.toISOString(),
+      end: endTime.toISOString(),
+      durationMin: Math.round((endSec - timestampSec) / 60),
+    },
+    ...meta,
+  };
+}
+
+// ─── Rattrapage ─────────────────────────────────────────
+// Sessions enregistrées sans météo (capture échouée) : météo historique + marée,
+// puis snapshot communautaire. Séquentiel pour ménager les quotas des fournisseurs.
+// Chaque échec est noté sur la session (meteo_backfill_attempts / _attempted_at) :
+// getSessionsMissingMeteo l'écarte le temps du délai de nouvelle tentative.
+async function backfillMissingMeteo({ limit = 50, userId = null } = {}) {
+  const db = require('./supabaseService');
+  const sessions = await db.getSessionsMissingMeteo(limit, userId);
+
+  const report = { scanned: sessions.length, updated: 0, snapshots: 0, skipped: [], errors: [] };
+
+  const recordAttempt = session => db.updateSession(session.id, session.user_id, {
+    meteo_backfill_attempts: (session.meteo_backfill_attempts || 0) + 1,
+    meteo_backfill_attempted_at: new Date().toISOString(),
+  }).catch(e => console.warn(`⚠️ Tentative de rattrapage non notée pour la session ${session.id}:`, e.message));
+
+  for (const session of sessions) {
+    const spot = session.spots;
+    if (!spot?.lat || !spot?.lng) {
+      report.skipped.push({ sessionId: session.id, reason: 'spot sans coordonnées' });
+      await recordAttempt(session);
+      continue;
+    }
+
+    try {
+      const start = sessionDateTime(session.date, session.start_time || session.time);
+      if (!start) {
+        report.skipped.push({ sessionId: session.id, reason: 'date ou heure invalide' });
+        await recordAttempt(session);
+        continue;
+      }
+      const end = sessionEndDateTime(session.date, session.start_time || session.time, session.end_time);
+      const meteo = await captureSessionMeteo(spot, start, end);
+      if (!meteo) {
+        report.skipped.push({ sessionId: session.id, reason: 'aucun point météo assez proche' });
+        await recordAttempt(session);
+        continue;
+      }
+
+      // Score prévu à cette heure (prévision vs réalité), historique du surfeur hors cette session
+      const { predictSession } = require('./forecastFeedback');
+      const [profile, history] = await Promise.all([
+        db.getProfile(session.user_id),
+        db.getSessionsWithMeteo(session.user_id),
+      ]);
+      const prediction = predictSession(meteo, {
+        spot,
+        profile,
+        pastSessions: (history || []).filter(s => s.id !== session.id),
+        time: start,
+      });
+
+      await db.updateSession(session.id, session.user_id, { meteo, ...prediction });
+      report.updated++;
+
+      if (session.rating) {
+        await db.createSessionSnapshot({ spotId: session.spot_id, rating: session.rating, date: session.date, meteo, details: session });
+        report.snapshots++;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Rattrapage météo échoué pour la session ${session.id}:`, error.message);
+      report.errors.push({ sessionId: session.id, error: error.message });
+      await recordAttempt(session);
+    }
+  }
+
+  console.log(`🕰️ Rattrapage météo: ${report.updated}/${report.scanned} sessions complétées`);
+  return report;
+}
+
+module.exports = {
+  captureSessionMeteo,
+  backfillMissingMeteo,
+  sessionDateTime,
+  sessionEndDateTime,
+  sessionTide,
+  closestPoint,
+  MAX_MATCH_OFFSET_MIN,
+  MAX_SESSION_DURATION_MIN,
+};
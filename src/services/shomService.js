@@ -3,6 +3,7 @@
 
 const axios = require('axios');
 const db = require('./supabaseService');
+const { getStation, findNearestStation } = require('./tideStations');
 
 const SHOM_BASE = 'https://maree.shom.fr/api/v1';
 
@@ -73,15 +74,42 @@ async function getTideData(spotId, shomPortCode, dateStr) {
   }
 }
 
-// Récupère les marées pour N jours à partir d'aujourd'hui
-async function getTideDataForDays(spotId, shomPortCode, days = 5) {
+// ⚓ Station SHOM d'un spot : shom_port_code si renseigné, sinon la plus proche
+// (et on enregistre le code trouvé sur le spot pour les prochaines fois)
+async function resolveStationForSpot(spot) {
+  if (!spot) return null;
+
+  if (spot.shom_port_code) {
+    const known = getStation(spot.shom_port_code);
+    // Code saisi à la main mais absent du registre : on le respecte tel quel
+    return known || { code: spot.shom_port_code, name: spot.shom_port_code, provider: 'shom' };
+  }
+
+  const nearest = findNearestStation(spot.lat, spot.lng, { provider: 'shom' });
+  if (!nearest) return null;
+
+  if (spot.id) {
+    try {
+      await db.updateSpot(spot.id, { shom_port_code: nearest.code });
+      console.log(`⚓ Station ${nearest.code} associée au spot ${spot.name || spot.id} (${nearest.distanceKm} km)`);
+    } catch (e) {
+      console.warn(`⚠️ Backfill shom_port_code échoué pour ${spot.id}: ${e.message}`);
+    }
+  }
+  return nearest;
+}
+
+// Récupère les marées pour N jours à partir d'aujourd'hui, à la station du spot
+// station : déjà résolue par l'appelant (évite une seconde résolution et un second backfill)
+async function getTideDataForDays(spot, days = 5, station = undefined) {
+  if (station === undefined) station = await resolveStationForSpot(spot);
   const results = {};
   const today = new Date();
   for (let d = 0; d < days; d++) {
     const date = new Date(today);
     date.setDate(today.getDate() + d);
     const dateStr = date.toISOString().split('T')[0];
-    results[dateStr] = await getTideData(spotId, shomPortCode, dateStr);
+    results[dateStr] = station ? await getTideData(spot.id, station.code, dateStr) : null;
   }
   return results; // { 'YYYY-MM-DD': [hourlyPoints] | null }
 }
@@ -92,4 +120,4 @@ function getTideAtHour(tideDataForDate, hour) {
   return tideDataForDate.find(p => p.hour === hour) || { height_cm: null, phase: 'unknown' };
 }
 
-module.exports = { getTideDataForDays, getTideAtHour };
+module.exports = { getTideData, getTideDataForDays, getTideAtHour, resolveStationForSpot };
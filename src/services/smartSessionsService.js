@@ -1,6 +1,11 @@
 // 🧠 Service d'analyse intelligente des créneaux de surf
 // Divise la journée en créneaux optimaux et sélectionne les meilleures heures
 
+const { findNearestStation } = require('./tideStations');
+const tidePredictor = require('./tidePredictor');
+const { enrichPoint } = require('./tideContext');
+const scoringEngine = require('./scoringEngine');
+
 class SmartSessionsService {
   constructor() {
     console.log('🧠 Service SmartSessions initialisé');
@@ -71,7 +76,7 @@ class SmartSessionsService {
 
     // Analyser chaque jour
     for (const [dateKey, dayForecast] of Object.entries(days)) {
-      const daySlots = this.analyzeDaySlots(dayForecast, userLevel, spot, dateKey);
+      const daySlots = this.analyzeDaySlots(dayForecast, userLevel, spot, dateKey, forecastData.coordinates);
       optimalSlots.push(...daySlots);
     }
 
@@ -89,7 +94,8 @@ class SmartSessionsService {
       analysis: this.generateSlotAnalysis(bestSlots),
       meta: {
         analyzedDays: Object.keys(days).length,
-        algorithm: 'smart-slots-v1',
+        algorithm: 'smart-slots-v2',
+        scoringSchemaVersion: scoringEngine.SCHEMA_VERSION,
         timestamp: new Date().toISOString()
       }
     };
@@ -113,7 +119,7 @@ class SmartSessionsService {
   }
 
   // 🎯 Analyser les créneaux d'une journée
-  analyzeDaySlots(dayForecast, userLevel, spot, dateKey) {
+  analyzeDaySlots(dayForecast, userLevel, spot, dateKey, coordinates = null) {
     const daySlots = [];
     const date = new Date(dateKey);
     const dayName = date.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' });
@@ -142,12 +148,16 @@ class SmartSessionsService {
             offshore: optimalPoint.offshore
           },
           scores: {
-            baseScore: optimalPoint.prediction?.personalizedScore || optimalPoint.quality,
+            schemaVersion: scoringEngine.SCHEMA_VERSION,
+            baseScore: optimalPoint.scoring.score,
+            label: optimalPoint.scoring.label,
             slotBonus: slotAnalysis.slotBonus,
             compositeScore: slotAnalysis.compositeScore,
-            confidence: optimalPoint.prediction?.confidence || 0.8
+            confidence: optimalPoint.scoring.confidence.value,
+            // Échelle historique 1-5
+            legacy: optimalPoint.scoring.legacy
           },
-          tide: this.calculateTide(new Date(optimalPoint.time)),
+          tide: this.calculateTide(new Date(optimalPoint.time), coordinates),
           recommendation: this.generateSlotRecommendation(slotAnalysis, slot, userLevel),
           analysis: slotAnalysis
         });
@@ -169,14 +179,15 @@ class SmartSessionsService {
   findOptimalPointInSlot(slotForecast, slot, userLevel) {
     if (slotForecast.length === 0) return null;
 
-    // Calculer un score composite pour chaque point
+    // Calculer un score composite pour chaque point (score unifié × bonus du créneau)
     const scoredPoints = slotForecast.map(point => {
-      const baseScore = point.prediction?.personalizedScore || point.quality || 1;
+      const scoring = this.getPointScoring(point, userLevel);
       const slotBonuses = this.calculateSlotBonuses(point, slot, userLevel);
-      const compositeScore = baseScore * slotBonuses;
+      const compositeScore = scoring.score * slotBonuses.multiplier;
 
       return {
         ...point,
+        scoring,
         slotBonuses,
         compositeScore
       };
@@ -186,6 +197,11 @@ class SmartSessionsService {
     return scoredPoints.sort((a, b) => b.compositeScore - a.compositeScore)[0];
   }
 
+  // 🧮 Score unifié du point (déjà calculé par processForecastData, sinon calculé ici)
+  getPointScoring(point, userLevel) {
+    return point.scoring || scoringEngine.scoreConditions(point, { userLevel });
+  }
+
   // 🎁 Calculer les bonus spécifiques au créneau
   calculateSlotBonuses(point, slot, userLevel) {
     let bonusMultiplier = 1.0;
@@ -235,6 +251,7 @@ class SmartSessionsService {
 
   // 📊 Analyser un créneau complet
   analyzeSlot(slotForecast, slot, userLevel) {
+    const avgScore = slotForecast.reduce((sum, p) => sum + this.getPointScoring(p, userLevel).score, 0) / slotForecast.length;
     const avgWaveHeight = slotForecast.reduce((sum, p) => sum + (p.waveHeight || 0), 0) / slotForecast.length;
     const avgWindSpeed = slotForecast.reduce((sum, p) => sum + (p.windSpeed || 0), 0) / slotForecast.length;
     const offshoreCount = slotForecast.filter(p => p.offshore).length;
@@ -258,9 +275,11 @@ class SmartSessionsService {
     return {
       slotBonus,
       bonusReasons,
-      compositeScore: (avgWaveHeight * 2 + (20 - avgWindSpeed) / 10) * slotBonus,
+      // Score moyen du créneau (0-10) bonifié par la stabilité et l'offshore, plafonné à 10
+      compositeScore: Math.round(Math.min(10, avgScore * slotBonus) * 10) / 10,
       stability: waveStability,
       avgConditions: {
+        score: Math.round(avgScore * 10) / 10,
         waveHeight: Math.round(avgWaveHeight * 10) / 10,
         windSpeed: Math.round(avgWindSpeed)
       }
@@ -279,8 +298,24 @@ class SmartSessionsService {
     return Math.max(0, 1 - (standardDeviation / mean));
   }
 
-  // 🌊 Calculer marée simulée
-  calculateTide(date) {
+  // 🌊 Calculer la marée : prédiction harmonique si une station est proche, sinon simulation
+  calculateTide(date, coordinates = null) {
+    const station = coordinates && findNearestStation(coordinates.lat, coordinates.lng, { harmonicsOnly: true });
+    if (station) {
+      const height = tidePredictor.predictHeight(station.harmonics, date);
+      const next = tidePredictor.predictHeight(station.harmonics, new Date(date.getTime() + 15 * 60000));
+      // Marnage de la marée en cours (extrêmes encadrant le créneau) → coefficient
+      const extremes = tidePredictor.predictExtremes(station.harmonics, date.getTime() - 7 * 3600000, date.getTime() + 7 * 3600000);
+      const tide = enrichPoint({ timestamp: Math.floor(date.getTime() / 1000) }, extremes, station);
+      return {
+        phase: next > height ? 'Montante' : 'Descendante',
+        height: Math.round(height * 10) / 10,
+        coefficient: tide.tideCoefficient ?? null,
+        station: station.code,
+        source: 'harmonic'
+      };
+    }
+
     const hour = date.getHours();
     const tidePhase = Math.floor(hour / 6) % 2 === 0 ? 'Montante' : 'Descendante';
     const tideHeight = (1.5 + Math.sin(hour * Math.PI / 6) * 1.2).toFixed(1);
@@ -297,11 +332,12 @@ class SmartSessionsService {
     const score = analysis.compositeScore;
     const stability = analysis.stability;
     
-    if (score >= 4.5) {
+    // Mêmes seuils que les libellés du moteur de score (0-10)
+    if (score >= 8.5) {
       return `🏄‍♂️ ${slot.emoji} Session exceptionnelle prévue ! ${slot.name} parfait pour ${userLevel}`;
-    } else if (score >= 3.5) {
+    } else if (score >= 7) {
       return `👍 ${slot.emoji} Excellente session en ${slot.name.toLowerCase()}. ${slot.description}`;
-    } else if (score >= 2.5) {
+    } else if (score >= 5.5) {
       return `🤔 ${slot.emoji} Session correcte possible en ${slot.name.toLowerCase()}`;
     } else {
       return `⏳ ${slot.emoji} Mieux vaut attendre un autre créneau`;
@@ -0,0 +1,52 @@
+// 📍 Résolution des spots SurfAI — id, nom ou slug vers une ligne de la table spots
+// Les spots sont ceux importés depuis Surfline par scripts/import-spots.js
+
+const db = require('./supabaseService');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// "Côte des Basques" → "cote-des-basques"
+function slugify(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Motif ILIKE tolérant aux accents : les lettres souvent accentuées deviennent "_"
+// (le filtrage exact se fait ensuite côté JS sur le slug)
+function buildNamePattern(slug) {
+  return '%' + slug.split('-').map(token => token.replace(/[aeiouyc]/g, '_')).join('%') + '%';
+}
+
+async function findSpotByName(query) {
+  const slug = slugify(query);
+  if (!slug) return null;
+
+  const candidates = (await db.searchSpotsByName(buildNamePattern(slug)))
+    .filter(s => slugify(s.name).includes(slug));
+  if (!candidates.length) return null;
+
+  const exact = candidates.find(s => slugify(s.name) === slug);
+  if (exact) return exact;
+
+  // Sinon le nom le plus court qui contient la recherche ("hossegor" → "Hossegor" avant "Hossegor La Nord")
+  return candidates.sort((a, b) => a.name.length - b.name.length)[0];
+}
+
+// Accepte un id (numérique ou uuid), un nom ou un slug — null si inconnu
+async function resolveSpot(idOrName) {
+  if (idOrName === undefined || idOrName === null) return null;
+  const key = String(idOrName).trim();
+  if (!key) return null;
+
+  if (/^\d+$/.test(key) || UUID_RE.test(key)) {
+    const spot = await db.getSpotById(key);
+    if (spot) return spot;
+  }
+
+  return findSpotByName(key);
+}
+
+module.exports = { resolveSpot, findSpotByName, slugify };
@@ -2,6 +2,12 @@
 // Gère les appels sécurisés à l'API météo marine
 
 const axios = require('axios');
+const forecastUtils = require('./forecastUtils');
+const { blendParameter, getBlendMode } = require('./forecastBlender');
+const apiBudget = require('./apiBudget');
+const forecastCache = require('./forecastCache');
+
+const WEATHER_PARAMS = 'waveHeight,wavePeriod,waveDirection,windSpeed,windDirection,swellHeight,swellPeriod,swellDirection,secondarySwellHeight,secondarySwellPeriod,secondarySwellDirection,windWaveHeight,windWavePeriod,windWaveDirection,waterTemperature,airTemperature,seaLevel';
 
 class StormglassService {
   constructor() {
@@ -45,16 +51,17 @@ class StormglassService {
   }
 
   // Lire depuis le cache Supabase
-  async getFromSupabaseCache(cacheKey) {
+  // allowExpired : accepte une entrée expirée (budget épuisé, mieux qu'aucune donnée)
+  async getFromSupabaseCache(cacheKey, { allowExpired = false } = {}) {
     const sb = this.getSupabase();
     if (!sb) return null;
     try {
-      const { data } = await sb
+      let query = sb
         .from('forecast_cache')
         .select('data, cached_at')
-        .eq('cache_key', cacheKey)
-        .gt('expires_at', new Date().toISOString())
-        .single();
+        .eq('cache_key', cacheKey);
+      if (!allowExpired) query = query.gt('expires_at', new Date().toISOString());
+      const { data } = await query.single();
       if (data) {
         const ageMin = Math.round((Date.now() - new Date(data.cached_at).getTime()) / 60000);
         console.log(`💾 Cache Supabase utilisé (${ageMin}min)`);
@@ -80,48 +87,93 @@ class StormglassService {
     } catch(e) { console.warn('⚠️ Écriture cache Supabase échouée:', e.message); }
   }
 
+  // 💸 Réserve un appel dans le budget journalier ; sinon cache expiré ou erreur de budget
+  // Retourne null si l'appel est autorisé, sinon les données de repli à servir
+  // days (prévisions) : le cache expiré n'est servi que s'il couvre encore la demande, sinon
+  // l'erreur de budget laisse la chaîne de fournisseurs passer au suivant (Open-Meteo)
+  async withinBudget(cacheKey, days = null) {
+    const reservation = await apiBudget.reserve('stormglass');
+    if (reservation.allowed) return null;
+
+    const memory = this.cache.get(cacheKey)?.data;
+    const usable = entry => !!entry && (days == null || forecastCache.coversFromNow(entry, days));
+    const stale = usable(memory)
+      ? memory
+      : await this.getFromSupabaseCache(cacheKey, { allowExpired: true });
+    if (usable(stale)) {
+      console.log(`💸 Budget Stormglass atteint → cache expiré servi (${cacheKey})`);
+      await apiBudget.recordDegraded('stormglass', 'cache');
+      return { ...stale, meta: { ...stale.meta, stale: true, degraded: 'budget' } };
+    }
+    throw apiBudget.budgetError('stormglass', reservation);
+  }
+
+  // Suivi du quota côté Stormglass (meta.requestCount) et arrêt net quand le quota du jour est
+  // épuisé : 402, ou compteur du fournisseur au quota. Un 429 (limite de débit passagère) ne
+  // bloque pas la journée.
+  async trackUpstream(response, error = null) {
+    const status = error?.response?.status;
+    const meta = response?.data?.meta || error?.response?.data?.meta;
+    if (meta) await apiBudget.syncUpstream('stormglass', meta);
+    const quotaReached = meta?.requestCount != null && meta?.dailyQuota != null
+      && parseInt(meta.requestCount) >= parseInt(meta.dailyQuota);
+    if (status === 402 || quotaReached) await apiBudget.markExhausted('stormglass');
+  }
+
   // 🌊 Récupérer prévisions météo marine
   async getForecast(lat, lng, days = 3) {
     try {
+      // Cache par cellule de grille (spots voisins partagés) et horizon maximal, découpé
+      // selon days ; le mode de blending fait partie de la clé
+      const blendMode = getBlendMode();
+      const cell = forecastCache.gridCell('stormglass', lat, lng);
+      const cacheKey = `grid-${cell}-${blendMode}`;
+
       // Vérifier le cache mémoire (rapide)
-      const cacheKey = `${lat.toFixed(4)}-${lng.toFixed(4)}-${days}`;
       const cached = this.cache.get(cacheKey);
-      if (cached && (Date.now() - cached.timestamp) < this.CACHE_DURATION_MS) {
+      if (cached && (Date.now() - cached.timestamp) < this.CACHE_DURATION_MS && forecastCache.covers(cached.data, days)) {
         const ageMin = Math.round((Date.now() - cached.timestamp) / 60000);
-        console.log(`💾 Cache mémoire utilisé (${ageMin}min)`);
-        return cached.data;
+        console.log(`💾 Cache mémoire utilisé (${ageMin}min, cellule ${cell})`);
+        return forecastCache.sliceForecast(cached.data, days, lat, lng);
       }
 
       // Vérifier le cache Supabase (persiste entre redémarrages)
       const supabaseCached = await this.getFromSupabaseCache(cacheKey);
-      if (supabaseCached) {
+      if (forecastCache.covers(supabaseCached, days)) {
         this.cache.set(cacheKey, { data: supabaseCached, timestamp: Date.now() });
-        return supabaseCached;
+        return forecastCache.sliceForecast(supabaseCached, days, lat, lng);
       }
 
-      console.log(`🌊 Appel Stormglass API: ${lat}, ${lng} (${days} jours)`);
+      const degraded = await this.withinBudget(cacheKey, days);
+      if (degraded) return forecastCache.sliceForecast(degraded, days, lat, lng);
+
+      const horizonDays = forecastCache.fetchDays('stormglass', days);
+      console.log(`🌊 Appel Stormglass API: ${lat}, ${lng} (${horizonDays} jours, cellule ${cell})`);
 
-      // Calcul des timestamps
-      const startTime = Math.floor(Date.now() / 1000);
-      const endTime = Math.floor((Date.now() + (days * 24 * 60 * 60 * 1000)) / 1000);
+      // Calcul des timestamps (depuis l'heure en cours, pour couvrir le créneau actuel)
+      const startTime = Math.floor(Date.now() / 1000) - 3600;
+      const endTime = startTime + horizonDays * 86400;
 
       const params = {
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        params: 'waveHeight,wavePeriod,waveDirection,windSpeed,windDirection,swellHeight,swellPeriod,swellDirection,waterTemperature,airTemperature,seaLevel',
+        params: WEATHER_PARAMS,
         start: startTime,
-        end: endTime,
-        source: 'sg' // Source Stormglass prioritaire
+        end: endTime
       };
+      // Mode 'first' = comportement historique (source Stormglass seule) ;
+      // sinon on récupère tous les modèles pour les combiner
+      if (blendMode === 'first') params.source = 'sg';
 
       console.log('📡 Paramètres Stormglass:', params);
 
       const response = await this.client.get('/weather/point', { params });
+      await this.trackUpstream(response);
 
       console.log(`✅ Données reçues: ${response.data.hours?.length || 0} points`);
 
       // Traitement des données Stormglass
-      const processedData = this.processStormglassData(response.data);
+      const processedData = this.processStormglassData(response.data, blendMode);
 
       const result = {
         success: true,
@@ -131,66 +183,160 @@ class StormglassService {
         meta: {
           requestTime: new Date().toISOString(),
           dataPoints: processedData.length,
-          daysRequested: days,
+          horizonDays,
+          cacheCell: cell,
+          blendMode,
           apiCalls: 1
         }
       };
 
-      // Sauvegarder en cache mémoire + Supabase
+      // Sauvegarder en cache mémoire + Supabase (entrée complète de la cellule)
       this.cache.set(cacheKey, { data: result, timestamp: Date.now() });
       this.writeToSupabaseCache(cacheKey, result); // async, pas d'await (non bloquant)
       console.log(`💾 Résultat mis en cache mémoire + Supabase (clé: ${cacheKey})`);
 
-      return result;
+      return forecastCache.sliceForecast(result, days, lat, lng);
 
     } catch (error) {
+      if (error.code === 'BUDGET_EXHAUSTED') throw error;
       console.error('❌ Erreur Stormglass API:', error.response?.data || error.message);
+      await this.trackUpstream(null, error);
+      throw this.toApiError(error);
+    }
+  }
 
-      // Gestion spécifique des erreurs API
-      if (error.response?.status === 429) {
-        throw new Error('Limite API Stormglass atteinte. Réessayez plus tard.');
-      } else if (error.response?.status === 401) {
-        throw new Error('Clé API Stormglass invalide ou expirée');
-      } else if (error.response?.status === 422) {
-        throw new Error('Paramètres de localisation invalides');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Timeout de l\'API Stormglass (>15s)');
-      }
+  // 🕰️ Conditions passées (hindcast) entre deux timestamps (secondes)
+  // Même format que getForecast ; sert aux sessions saisies après coup
+  async getHistorical(lat, lng, startSec, endSec) {
+    // Même cellule de grille que les prévisions, fenêtre à l'heure pleine : deux sessions voisines
+    // au même moment partagent l'appel
+    ({ startSec, endSec } = forecastCache.hindcastWindow(startSec, endSec));
+    const cacheKey = `hist-${forecastCache.gridCell('stormglass', lat, lng)}-${startSec}-${endSec}`;
+    const cached = this.cache.get(cacheKey);
+    if (forecastCache.isHindcastFresh(cached)) return cached.data;
+
+    try {
+      const degraded = await this.withinBudget(cacheKey);
+      if (degraded) return degraded;
 
-      throw new Error(`Erreur API météo: ${error.message}`);
+      console.log(`🕰️ Appel Stormglass hindcast: ${lat}, ${lng} (${new Date(startSec * 1000).toISOString()} → ${new Date(endSec * 1000).toISOString()})`);
+      const blendMode = getBlendMode();
+      const params = {
+        lat: parseFloat(lat),
+        lng: parseFloat(lng),
+        params: WEATHER_PARAMS,
+        start: startSec,
+        end: endSec
+      };
+      if (blendMode === 'first') params.source = 'sg';
+
+      const response = await this.client.get('/weather/point', { params });
+      await this.trackUpstream(response);
+      const processedData = this.processStormglassData(response.data, blendMode);
+
+      const result = {
+        success: true,
+        source: 'stormglass',
+        coordinates: { lat: parseFloat(lat), lng: parseFloat(lng) },
+        forecast: processedData,
+        meta: {
+          requestTime: new Date().toISOString(),
+          dataPoints: processedData.length,
+          start: new Date(startSec * 1000).toISOString(),
+          end: new Date(endSec * 1000).toISOString(),
+          blendMode,
+          apiCalls: 1
+        }
+      };
+
+      forecastCache.setHindcast(this.cache, cacheKey, result, endSec);
+      return result;
+    } catch (error) {
+      if (error.code === 'BUDGET_EXHAUSTED') throw error;
+      console.error('❌ Erreur Stormglass hindcast:', error.response?.data || error.message);
+      await this.trackUpstream(null, error);
+      throw this.toApiError(error);
     }
   }
 
+  // Gestion spécifique des erreurs API
+  // Le status HTTP est conservé pour que la chaîne de fournisseurs détecte les quotas
+  toApiError(error) {
+    const status = error.response?.status;
+    let apiError;
+    if (status === 429) {
+      apiError = new Error('Limite API Stormglass atteinte. Réessayez plus tard.');
+    } else if (status === 402) {
+      apiError = new Error('Quota Stormglass épuisé pour aujourd\'hui');
+    } else if (status === 401) {
+      apiError = new Error('Clé API Stormglass invalide ou expirée');
+    } else if (status === 422) {
+      apiError = new Error('Paramètres de localisation invalides');
+    } else if (error.code === 'ECONNABORTED') {
+      apiError = new Error('Timeout de l\'API Stormglass (>15s)');
+    } else {
+      apiError = new Error(`Erreur API météo: ${error.message}`);
+    }
+    apiError.status = status;
+    return apiError;
+  }
+
   // 🔄 Traiter les données brutes de Stormglass
-  processStormglassData(rawData) {
+  // blendMode : 'first' (première source), 'median' ou 'weighted' (toutes les sources combinées)
+  processStormglassData(rawData, blendMode = getBlendMode()) {
     if (!rawData.hours || !Array.isArray(rawData.hours)) {
       throw new Error('Format de données Stormglass invalide - pas de données horaires');
     }
 
-    console.log(`🔄 Traitement de ${rawData.hours.length} points de données...`);
+    console.log(`🔄 Traitement de ${rawData.hours.length} points de données (blending: ${blendMode})...`);
 
     const processedPoints = rawData.hours.map((hour, index) => {
       try {
         const time = new Date(hour.time);
 
-        // Fonction pour extraire la première valeur disponible
-        const getFirstValue = (param) => {
-          if (!hour[param]) return null;
-          const sources = Object.keys(hour[param]);
-          return sources.length > 0 ? hour[param][sources[0]] : null;
+        // Combiner toutes les sources disponibles pour un paramètre
+        const blended = {};
+        const blend = (param) => {
+          blended[param] = blendParameter(hour[param], param, blendMode);
+          return blended[param].value;
         };
 
         // Extraction des données principales
-        const waveHeight = getFirstValue('waveHeight');
-        const wavePeriod = getFirstValue('wavePeriod');
-        const waveDirection = getFirstValue('waveDirection');
-        const windSpeed = getFirstValue('windSpeed');
-        const windDirection = getFirstValue('windDirection');
-        const swellHeight = getFirstValue('swellHeight');
-        const swellPeriod = getFirstValue('swellPeriod');
-        const waterTemp = getFirstValue('waterTemperature');
-        const airTemp = getFirstValue('airTemperature');
-        const seaLevel = getFirstValue('seaLevel');
+        const waveHeight = blend('waveHeight');
+        const wavePeriod = blend('wavePeriod');
+        const waveDirection = blend('waveDirection');
+        const windSpeed = blend('windSpeed');
+        const windDirection = blend('windDirection');
+        const swellHeight = blend('swellHeight');
+        const swellPeriod = blend('swellPeriod');
+        const swellDirection = blend('swellDirection');
+        // Houle secondaire et mer du vent : plusieurs trains peuvent coexister
+        const { swells, windWave } = forecastUtils.buildSwellTrains({
+          swell: { height: swellHeight, period: swellPeriod, direction: swellDirection },
+          secondarySwell: { height: blend('secondarySwellHeight'), period: blend('secondarySwellPeriod'), direction: blend('secondarySwellDirection') },
+          windWave: { height: blend('windWaveHeight'), period: blend('windWavePeriod'), direction: blend('windWaveDirection') },
+        });
+        const waterTemp = blend('waterTemperature');
+        const airTemp = blend('airTemperature');
+        const seaLevel = blend('seaLevel');
+
+        // Désaccord entre modèles, dans les unités de sortie (null si une seule source)
+        const spreadOf = (param, factor = 1, decimals = 1) => {
+          const value = blended[param].spread;
+          if (value == null) return null;
+          const p = Math.pow(10, decimals);
+          return Math.round(value * factor * p) / p;
+        };
+        const spread = {
+          waveHeight: spreadOf('waveHeight'),
+          wavePeriod: spreadOf('wavePeriod'),
+          waveDirection: spreadOf('waveDirection', 1, 0),
+          windSpeed: spreadOf('windSpeed', 3.6), // m/s vers km/h
+          windDirection: spreadOf('windDirection', 1, 0),
+          swellHeight: spreadOf('swellHeight'),
+          swellPeriod: spreadOf('swellPeriod'),
+        };
+        const sourceCount = Math.max(...Object.values(blended).map(b => b.sources));
 
         // Calculs dérivés
         const offshore = this.isOffshore(windDirection, waveDirection);
@@ -198,6 +344,13 @@ class StormglassService {
           waveHeight,
           windSpeed,
           wavePeriod,
+          waveDirection,
+          windDirection,
+          swellHeight,
+          swellPeriod,
+          swellDirection,
+          swells,
+          windWave,
           offshore
         });
 
@@ -208,18 +361,24 @@ class StormglassService {
           // Données primaires
           waveHeight: waveHeight ? Math.round(waveHeight * 10) / 10 : null,
           wavePeriod: wavePeriod ? Math.round(wavePeriod) : null,
-          waveDirection: waveDirection ? Math.round(waveDirection) : null,
+          waveDirection: waveDirection != null ? Math.round(waveDirection) % 360 : null,
           windSpeed: windSpeed ? Math.round(windSpeed * 3.6 * 10) / 10 : null, // m/s vers km/h
-          windDirection: windDirection ? Math.round(windDirection) : null,
+          windDirection: windDirection != null ? Math.round(windDirection) % 360 : null,
           // Données de houle
           swellHeight: swellHeight ? Math.round(swellHeight * 10) / 10 : null,
           swellPeriod: swellPeriod ? Math.round(swellPeriod) : null,
+          swellDirection: swellDirection != null ? Math.round(swellDirection) % 360 : null,
+          swells,
+          windWave,
           waterTemp: waterTemp ? Math.round(waterTemp * 10) / 10 : null,
           airTemp: airTemp ? Math.round(airTemp * 10) / 10 : null,
           seaLevel: seaLevel != null ? Math.round(seaLevel * 100) / 100 : null,
           // Calculs
           offshore: offshore,
           quality: quality,
+          // Blending multi-sources
+          spread: sourceCount > 1 ? spread : null,
+          sourceCount,
           // Métadonnées
           dataIndex: index
         };
@@ -239,23 +398,7 @@ class StormglassService {
 
   // 🌊 Calculer les phases de marée depuis seaLevel
   computeTidePhases(points) {
-    if (!points.some(p => p.seaLevel != null)) return points;
-    return points.map((p, i) => {
-      if (p.seaLevel == null) return { ...p, tidePhase: 'unknown', tideHeight: null };
-      const prev = points[i - 1];
-      const next = points[i + 1];
-      let tidePhase = 'unknown';
-      if (prev?.seaLevel != null && next?.seaLevel != null) {
-        const rising = p.seaLevel > prev.seaLevel;
-        const wasRising = prev.seaLevel > (points[i - 2]?.seaLevel ?? prev.seaLevel);
-        if (rising && !wasRising && Math.abs(p.seaLevel - prev.seaLevel) > 0.02) tidePhase = 'low';
-        else if (!rising && wasRising && Math.abs(p.seaLevel - prev.seaLevel) > 0.02) tidePhase = 'high';
-        else tidePhase = rising ? 'rising' : 'falling';
-      } else {
-        tidePhase = (next?.seaLevel != null && next.seaLevel > p.seaLevel) ? 'rising' : 'falling';
-      }
-      return { ...p, tidePhase, tideHeight: p.seaLevel };
-    });
+    return forecastUtils.computeTidePhases(points);
   }
 
   // ⏭️ Prochain high ou low tide après un timestamp donné
@@ -274,58 +417,13 @@ class StormglassService {
   }
 
   // 🧭 Déterminer si le vent est offshore (favorable)
-  isOffshore(windDir, waveDir) {
-    if ((!windDir && windDir !== 0) || (!waveDir && waveDir !== 0)) return false;
-
-    // Calculer la différence angulaire
-    const diff = Math.abs(windDir - waveDir);
-    const normalizedDiff = diff > 180 ? 360 - diff : diff;
-
-    // Offshore si l'angle est entre 90° et 270° (vent vient de la terre)
-    return normalizedDiff > 90 && normalizedDiff < 270;
+  isOffshore(windDir, waveDir, shoreOrientation = null) {
+    return forecastUtils.isOffshore(windDir, waveDir, shoreOrientation);
   }
 
-  // ⭐ Calcul qualité basique de session
+  // ⭐ Qualité générique 1-5 (moteur de score unique)
   calculateBasicQuality(conditions) {
-    const { waveHeight, windSpeed, wavePeriod, offshore } = conditions;
-
-    if (!waveHeight || !windSpeed) return 1;
-
-    let score = 1;
-
-    // Score selon hauteur de vagues (optimal: 1-2.5m)
-    if (waveHeight >= 1 && waveHeight <= 2.5) {
-      score += 2.5;
-    } else if (waveHeight >= 0.8 && waveHeight <= 3) {
-      score += 1.5;
-    } else if (waveHeight >= 0.5 && waveHeight <= 4) {
-      score += 0.5;
-    }
-
-    // Score selon vent (optimal: < 15 km/h)
-    const windKmh = windSpeed * 3.6; // Conversion m/s vers km/h
-    if (windKmh < 10) {
-      score += 2;
-    } else if (windKmh < 20) {
-      score += 1;
-    } else if (windKmh < 30) {
-      score += 0.5;
-    }
-
-    // Bonus période de vagues (plus c'est long, mieux c'est)
-    if (wavePeriod >= 12) {
-      score += 1;
-    } else if (wavePeriod >= 8) {
-      score += 0.5;
-    }
-
-    // Bonus vent offshore
-    if (offshore) {
-      score += 0.5;
-    }
-
-    // Normaliser entre 1 et 5
-    return Math.min(5, Math.max(1, Math.round(score * 10) / 10));
+    return forecastUtils.calculateBasicQuality(conditions);
   }
 
   // 🧪 Tester la connexion API
@@ -363,11 +461,19 @@ class StormglassService {
       return cached.data;
     }
     try {
+      // Budget atteint : extrêmes en cache même anciens, sinon [] → marée harmonique
+      const reservation = await apiBudget.reserve('stormglass');
+      if (!reservation.allowed) {
+        if (cached) await apiBudget.recordDegraded('stormglass', 'cache');
+        return cached ? cached.data : [];
+      }
+
       const now = Math.floor(Date.now() / 1000);
       const end = now + 86400 * days;
       const response = await this.client.get('/tide/extremes/point', {
         params: { lat: parseFloat(lat), lng: parseFloat(lng), start: now, end }
       });
+      await this.trackUpstream(response);
       const extremes = (response.data.data || []).map(e => ({
         time:   e.time,
         timestamp: Math.floor(new Date(e.time).getTime() / 1000),
@@ -379,14 +485,14 @@ class StormglassService {
       return extremes;
     } catch (e) {
       console.warn('⚠️ Stormglass tide extremes indisponible:', e.message);
+      await this.trackUpstream(null, e);
       return [];
     }
   }
 
   // ⏭️ Prochain high ou low à partir d'un timestamp
   getNextTideFromExtremes(extremes, fromTimestampSec) {
-    const next = extremes.find(e => e.timestamp > fromTimestampSec);
-    return next || null;
+    return forecastUtils.getNextTideFromExtremes(extremes, fromTimestampSec);
   }
 }
 
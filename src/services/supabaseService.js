@@ -25,10 +25,33 @@ async function getSpots() {
 
 async function getSpotById(spotId) {
   const { data, error } = await supabase.from('spots').select('*').eq('id', spotId).single();
+  if (error && error.code === 'PGRST116') return null; // aucune ligne
   if (error) throw new Error(`Spot introuvable: ${error.message}`);
   return data;
 }
 
+async function updateSpot(spotId, updates) {
+  const { data, error } = await supabase
+    .from('spots')
+    .update(updates)
+    .eq('id', spotId)
+    .select()
+    .single();
+  if (error) throw new Error(`Erreur mise à jour spot: ${error.message}`);
+  return data;
+}
+
+// Recherche par motif ILIKE sur le nom (le motif est construit par spotResolver)
+async function searchSpotsByName(pattern, limit = 50) {
+  const { data, error } = await supabase
+    .from('spots')
+    .select('*')
+    .ilike('name', pattern)
+    .limit(limit);
+  if (error) throw new Error(`Erreur recherche spots: ${error.message}`);
+  return data || [];
+}
+
 // ─── SESSIONS ────────────────────────────────────────────
 
 async function getSessions(userId) {
@@ -41,6 +64,19 @@ async function getSessions(userId) {
   return data;
 }
 
+// Session d'un utilisateur (null si absente ou appartenant à un autre surfeur)
+async function getSession(sessionId, userId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+  if (error && error.code === 'PGRST116') return null; // aucune ligne
+  if (error) throw new Error(`Erreur session: ${error.message}`);
+  return data;
+}
+
 async function getAllSessions() {
   const { data, error } = await supabase
     .from('sessions')
@@ -56,7 +92,12 @@ async function createSession(sessionData) {
     .insert(sessionData)
     .select()
     .single();
-  if (error) throw new Error(`Erreur création session: ${error.message}`);
+  if (error) {
+    const failure = new Error(`Erreur création session: ${error.message}`);
+    // 23503 : clé étrangère (user_id, spot_id ou board_id inconnu)
+    if (error.code === '23503') failure.status = 422;
+    throw failure;
+  }
   return data;
 }
 
@@ -176,6 +217,99 @@ async function getFavoriteSpots(userId) {
     .filter(Boolean);
 }
 
+// Sessions rattachées à un spot mais sans météo (capture échouée) — les plus récentes d'abord
+// Une session déjà tentée (meteo_backfill_attempted_at) n'est reprise qu'après retryAfterHours,
+// et plus du tout après maxAttempts échecs : le rattrapage ne reboucle pas sur les mêmes lignes
+async function getSessionsMissingMeteo(limit = 50, userId = null, { retryAfterHours = 24, maxAttempts = 5 } = {}) {
+  const retryBefore = new Date(Date.now() - retryAfterHours * 3600000).toISOString();
+  let query = supabase
+    .from('sessions')
+    .select('*, spots(*)')
+    .is('meteo', null)
+    .not('spot_id', 'is', null)
+    .or(`meteo_backfill_attempted_at.is.null,and(meteo_backfill_attempted_at.lt.${retryBefore},meteo_backfill_attempts.lt.${maxAttempts})`)
+    .order('date', { ascending: false })
+    .limit(limit);
+  if (userId) query = query.eq('user_id', userId);
+  const { data, error } = await query;
+  if (error) throw new Error(`Erreur sessions sans météo: ${error.message}`);
+  return data || [];
+}
+
+// Sessions avec score prévu enregistré (rapports prévision vs réalité) — les plus récentes d'abord
+// Seules les colonnes des rapports sont lues (la météo capturée se limite aux directions de houle),
+// par pages de PREDICTION_PAGE_SIZE lignes et au plus `limit` sessions
+const PREDICTION_REPORT_COLUMNS = [
+  'id', 'spot_id', 'user_id', 'date', 'rating', 'perceived_size', 'predicted_score', 'prediction',
+  'meteo_swell_direction:meteo->swellDirection', 'meteo_wave_direction:meteo->waveDirection',
+  'spots(name, city, size_factor)',
+].join(', ');
+const PREDICTION_PAGE_SIZE = 1000;
+
+async function getSessionsWithPrediction({ spotId = null, userId = null, limit = 2000 } = {}) {
+  const rows = [];
+  while (rows.length < limit) {
+    const from = rows.length;
+    const to = Math.min(limit, from + PREDICTION_PAGE_SIZE) - 1;
+    let query = supabase
+      .from('sessions')
+      .select(PREDICTION_REPORT_COLUMNS)
+      .not('predicted_score', 'is', null)
+      .order('date', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, to);
+    if (spotId) query = query.eq('spot_id', spotId);
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query;
+    if (error) throw new Error(`Erreur sessions prédites: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < to - from + 1) break;
+  }
+  return rows;
+}
+
+// ─── SNAPSHOTS COMMUNAUTAIRES ───────────────────────────
+
+// Snapshot anonymisé d'une session notée avec météo (aucun user_id)
+// details : colonnes du journal détaillé (crowd_level, perceived_size, wind_felt, waves_caught)
+async function createSessionSnapshot({ spotId, rating, date, meteo, details = {} }) {
+  const sessionDate = new Date(date || new Date());
+  const row = {
+    spot_id: spotId,
+    // ?? : une mer plate (0 m) ou un vent du nord (0°) sont des mesures, pas des absences
+    wave_height: meteo.waveHeight ?? null,
+    wind_speed: meteo.windSpeed ?? null,
+    wind_direction: meteo.windDirection ?? null,
+    wave_period: meteo.wavePeriod ?? null,
+    swell_height: meteo.swellHeight ?? null,
+    tide_phase: meteo.tidePhase || null,
+    crowd_level: details.crowd_level || null,
+    perceived_size: details.perceived_size || null,
+    wind_felt: details.wind_felt || null,
+    waves_caught: details.waves_caught ?? null,
+    rating_norm: Math.round((rating / 5) * 100) / 100,
+    month: sessionDate.getMonth() + 1,
+    year: sessionDate.getFullYear(),
+  };
+
+  const { error } = await supabase.from('spot_session_snapshots').insert(row);
+  if (error) throw new Error(`Erreur snapshot communautaire: ${error.message}`);
+  return row;
+}
+
+// Snapshots récents d'un spot, base du profil communautaire (communityProfile.buildCommunityProfile)
+async function getSpotSnapshots(spotId, limit = 500) {
+  const { data, error } = await supabase
+    .from('spot_session_snapshots')
+    .select('wave_height, wind_direction, tide_phase, perceived_size, rating_norm')
+    .eq('spot_id', spotId)
+    .order('year', { ascending: false })
+    .order('month', { ascending: false })
+    .limit(limit);
+  if (error) throw new Error(`Erreur snapshots communautaires: ${error.message}`);
+  return data || [];
+}
+
 async function updateSession(sessionId, userId, updates) {
   const { data, error } = await supabase
     .from('sessions')
@@ -219,15 +353,80 @@ async function updateProfileEmail(userId, email) {
   return data;
 }
 
+// ─── CLÉS API ───────────────────────────────────────────
+// Table api_keys : seul le hash sha256 de la clé est stocké (key_hash), jamais la clé
+
+// Colonnes exposées (sans le hash)
+const API_KEY_COLUMNS = 'id, owner, name, key_prefix, scopes, delegated_users, expires_at, last_used_at, revoked_at, rotated_from, created_at';
+
+async function getApiKeyByHash(keyHash) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('key_hash', keyHash)
+    .maybeSingle();
+  if (error) throw new Error(`Erreur clé API: ${error.message}`);
+  return data;
+}
+
+async function getApiKeyById(keyId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('id', keyId)
+    .maybeSingle();
+  if (error) throw new Error(`Erreur clé API: ${error.message}`);
+  return data;
+}
+
+async function listApiKeys(owner = null) {
+  let query = supabase
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .order('created_at', { ascending: false });
+  if (owner) query = query.eq('owner', owner);
+  const { data, error } = await query;
+  if (error) throw new Error(`Erreur liste clés API: ${error.message}`);
+  return data || [];
+}
+
+async function createApiKey(row) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert(row)
+    .select(API_KEY_COLUMNS)
+    .single();
+  if (error) throw new Error(`Erreur création clé API: ${error.message}`);
+  return data;
+}
+
+async function updateApiKey(keyId, updates) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update(updates)
+    .eq('id', keyId)
+    .select(API_KEY_COLUMNS)
+    .single();
+  if (error) throw new Error(`Erreur mise à jour clé API: ${error.message}`);
+  return data;
+}
+
 module.exports = {
   supabase,
   getSpots,
   getAllSessions,
   getSpotById,
+  searchSpotsByName,
+  updateSpot,
   getSessions,
+  getSession,
   createSession,
   updateSession,
   deleteSession,
+  getSessionsMissingMeteo,
+  getSessionsWithPrediction,
+  createSessionSnapshot,
+  getSpotSnapshots,
   getProfile,
   upsertProfile,
   getBoards,
@@ -239,4 +438,9 @@ module.exports = {
   getFavoriteSpots,
   getProfilesWithEmailPredictions,
   updateProfileEmail,
+  getApiKeyByHash,
+  getApiKeyById,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
 };
@@ -0,0 +1,112 @@
+// 🧭 Exposition des spots à la houle SurfAI — fenêtre de houle et hauteur au déferlement
+// La hauteur fournie par les modèles est celle du large : chaque spot la reçoit différemment
+// selon la direction (abri d'une pointe, d'une digue, d'une île) et sa bathymétrie.
+//
+// Colonnes de la table spots :
+//   swell_window : [{ from, to, factor }] — secteurs de provenance en degrés (sens horaire,
+//                  0-360, passage par le nord autorisé : { from: 330, to: 20 }), factor 0-1
+//                  (1 = pleinement exposé, 0.3 = très abrité). Hors de tous les secteurs → SHADOW_FACTOR.
+//   size_factor  : amplification propre au spot (1.3 = banc qui grossit la houle, 0.7 = plage qui l'écrase)
+// Réglés par PUT /api/v1/spots/:id/exposure (admin) ; size_factor est aussi corrigé par forecastFeedback.
+
+const SHADOW_FACTOR = 0.1;
+
+// Période de référence : à 10 s la hauteur au large est reprise telle quelle,
+// les houles longues lèvent davantage au déferlement. Seul le terme de période de Komar & Gaughan
+// (Hb ∝ T^0.4 · H^0.8) est repris, en (T/10)^0.4 : la dépendance en hauteur reste linéaire.
+const REFERENCE_PERIOD_S = 10;
+const SIZE_FACTOR_BOUNDS = [0.1, 3];
+
+function parseSwellWindow(spot) {
+  let windows = spot?.swell_window;
+  if (typeof windows === 'string') {
+    try {
+      windows = JSON.parse(windows);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!Array.isArray(windows)) return null;
+  const valid = windows.filter(w => w && !isNaN(parseFloat(w.from)) && !isNaN(parseFloat(w.to)));
+  return valid.length ? valid : null;
+}
+
+function inSector(direction, from, to) {
+  const d = ((direction % 360) + 360) % 360;
+  return from <= to ? d >= from && d <= to : d >= from || d <= to;
+}
+
+// Facteur d'exposition (0-1) pour une houle venant de `direction` — 1 si le spot n'a pas de fenêtre
+function exposureFactor(direction, spot) {
+  const windows = parseSwellWindow(spot);
+  if (!windows || direction == null) return 1;
+
+  let best = null;
+  for (const w of windows) {
+    if (!inSector(direction, parseFloat(w.from), parseFloat(w.to))) continue;
+    const factor = w.factor != null ? Math.min(1, Math.max(0, parseFloat(w.factor))) : 1;
+    if (best === null || factor > best) best = factor;
+  }
+  return best === null ? SHADOW_FACTOR : best;
+}
+
+// Fenêtre saisie par un admin → secteurs normalisés, [] pour effacer, null si invalide
+function normalizeSwellWindow(windows) {
+  if (!Array.isArray(windows)) return null;
+  const normalized = [];
+  for (const w of windows) {
+    const from = parseFloat(w?.from);
+    const to = parseFloat(w?.to);
+    const factor = w?.factor == null ? 1 : parseFloat(w.factor);
+    if ([from, to].some(v => isNaN(v) || v < 0 || v > 360) || isNaN(factor) || factor < 0 || factor > 1) return null;
+    normalized.push({ from: Math.round(from) % 360, to: Math.round(to) % 360, factor: Math.round(factor * 100) / 100 });
+  }
+  return normalized;
+}
+
+function sizeFactor(spot) {
+  const f = parseFloat(spot?.size_factor);
+  return f > 0 ? f : 1;
+}
+
+// Spot dont l'exposition a été renseignée (fenêtre ou amplification) : sans ces réglages,
+// la hauteur au large est reprise telle quelle, sans correction de période
+function isCalibrated(spot) {
+  return !!parseSwellWindow(spot) || parseFloat(spot?.size_factor) > 0;
+}
+
+function periodFactor(period, spot) {
+  if (!period || !isCalibrated(spot)) return 1;
+  return Math.pow(period / REFERENCE_PERIOD_S, 0.4);
+}
+
+// Hauteur attendue au déferlement sur le spot, train par train puis cumulée en énergie
+// trains = [{ height, period, direction }] (houles partitionnées, ou la mer totale à défaut)
+// exposure : moyenne des facteurs d'exposition pondérée par l'énergie au large (H²) de chaque train
+function breakingHeight(trains, spot) {
+  const amplification = sizeFactor(spot);
+  const translated = trains
+    .filter(t => t && t.height)
+    .map(t => {
+      const exposure = exposureFactor(t.direction, spot);
+      return {
+        ...t,
+        exposure,
+        breakingHeight: Math.round(t.height * exposure * amplification * periodFactor(t.period, spot) * 100) / 100,
+      };
+    });
+
+  const height = Math.sqrt(translated.reduce((sum, t) => sum + t.breakingHeight ** 2, 0));
+  const offshoreEnergy = translated.reduce((sum, t) => sum + t.height ** 2, 0);
+  const exposure = offshoreEnergy > 0
+    ? translated.reduce((sum, t) => sum + t.exposure * t.height ** 2, 0) / offshoreEnergy
+    : 1;
+  return {
+    height: Math.round(height * 100) / 100,
+    exposure: Math.round(exposure * 100) / 100,
+    sizeFactor: amplification,
+    trains: translated,
+  };
+}
+
+module.exports = { exposureFactor, breakingHeight, parseSwellWindow, normalizeSwellWindow, sizeFactor, SIZE_FACTOR_BOUNDS };
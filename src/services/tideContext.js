@@ -0,0 +1,94 @@
+// 🌊 Contexte de marée SurfAI — hauteur, niveau relatif, coefficient et prochain extrême par point horaire
+// Les extrêmes viennent du premier fournisseur disponible (Stormglass, harmonique, SHOM).
+
+// Marnage de vive-eau moyenne (coefficient 95) quand la station n'a pas de constantes :
+// valeur typique du golfe de Gascogne
+const DEFAULT_SPRING_RANGE_M = 3.6;
+
+// À moins de 45 min d'un extrême, on considère l'étale (pleine ou basse mer)
+const SLACK_WINDOW_MIN = 45;
+
+// Marnage de vive-eau moyenne ≈ 2 × (M2 + S2)
+function springRange(station) {
+  const c = station?.harmonics?.constituents;
+  if (c?.M2 && c?.S2) return 2 * (c.M2[0] + c.S2[0]);
+  return DEFAULT_SPRING_RANGE_M;
+}
+
+// Coefficient "à la française" : 95 = vive-eau moyenne, 45 = morte-eau moyenne, borné 20-120
+function computeCoefficient(range, station = null) {
+  if (range == null || isNaN(range)) return null;
+  const coef = Math.round(95 * range / springRange(station));
+  return Math.min(120, Math.max(20, coef));
+}
+
+// Interpolation en cosinus entre deux extrêmes (règle des douzièmes lissée)
+function interpolateHeight(ts, prev, next) {
+  const frac = (ts - prev.timestamp) / (next.timestamp - prev.timestamp);
+  return prev.height + (next.height - prev.height) * (1 - Math.cos(Math.PI * frac)) / 2;
+}
+
+// Extrêmes déduits d'une série horaire SHOM ({ hour, height_cm, phase } par date)
+function extremesFromHourly(tideByDate) {
+  const extremes = [];
+  Object.entries(tideByDate || {}).forEach(([dateStr, points]) => {
+    (points || []).forEach(p => {
+      if (p.phase !== 'high' && p.phase !== 'low') return;
+      const time = new Date(`${dateStr}T${String(p.hour).padStart(2, '0')}:00:00`);
+      extremes.push({
+        time: time.toISOString(),
+        timestamp: Math.floor(time.getTime() / 1000),
+        type: p.phase,
+        height: p.height_cm / 100,
+      });
+    });
+  });
+  return extremes.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Enrichit un point horaire avec phase, hauteur, niveau relatif (0 = basse mer, 1 = pleine mer),
+// marnage, coefficient et temps jusqu'au prochain extrême
+function enrichPoint(point, extremes, station = null) {
+  const ts = point.timestamp;
+  let prev = null;
+  for (const e of extremes) {
+    if (e.timestamp <= ts) prev = e;
+    else break;
+  }
+  const next = extremes.find(e => e.timestamp > ts);
+  if (!prev && !next) return point;
+
+  // Phase : étale près d'un extrême, sinon montante/descendante selon le prochain extrême
+  let tidePhase;
+  const nearest = [prev, next].filter(Boolean)
+    .sort((a, b) => Math.abs(a.timestamp - ts) - Math.abs(b.timestamp - ts))[0];
+  if (Math.abs(nearest.timestamp - ts) <= SLACK_WINDOW_MIN * 60) tidePhase = nearest.type;
+  else if (next) tidePhase = next.type === 'high' ? 'rising' : 'falling';
+  else tidePhase = prev.type === 'high' ? 'falling' : 'rising';
+
+  if (!prev || !next) return { ...point, tidePhase };
+
+  const high = prev.type === 'high' ? prev : next;
+  const low = prev.type === 'low' ? prev : next;
+  const tideRange = Math.abs(high.height - low.height);
+  const tideHeight = interpolateHeight(ts, prev, next);
+
+  return {
+    ...point,
+    tidePhase,
+    tideHeight: point.tideHeight ?? Math.round(tideHeight * 100) / 100,
+    tideLevel: tideRange > 0 ? Math.round(((tideHeight - low.height) / tideRange) * 100) / 100 : null,
+    tideRange: Math.round(tideRange * 100) / 100,
+    tideCoefficient: computeCoefficient(tideRange, station),
+    nextTideType: next.type,
+    minutesToNextTide: Math.round((next.timestamp - ts) / 60),
+  };
+}
+
+function enrichForecast(forecast, extremes, station = null) {
+  if (!extremes?.length) return forecast;
+  const sorted = [...extremes].sort((a, b) => a.timestamp - b.timestamp);
+  return forecast.map(point => enrichPoint(point, sorted, station));
+}
+
+module.exports = { enrichForecast, enrichPoint, computeCoefficient, extremesFromHourly, springRange };
@@ -0,0 +1,164 @@
+// 🌙 Prédiction harmonique des marées SurfAI — fonctionne hors ligne
+// h(t) = Z0 + Σ f·H·cos(V(t) + u − g) sur les constituantes (M2, S2, N2, K1, O1…)
+// H (amplitude, m) et g (phase de Greenwich, °) sont stockées par station dans tideStations.
+// Calcul pur et déterministe (aucun appel réseau, aucune dépendance à l'heure courante
+// hors des paramètres) : les résultats peuvent être comparés à des annuaires de marée.
+
+const { findNearestStation } = require('./tideStations');
+
+const DEG = Math.PI / 180;
+
+// Arguments de Doodson : multiplicateurs de [T, s, h, p] + décalage (°), et facteur nodal associé
+const CONSTITUENTS = {
+  M2:  { args: [2, -2, 2, 0],  offset: 0,   nodal: 'M2' },
+  S2:  { args: [2, 0, 0, 0],   offset: 0,   nodal: null },
+  N2:  { args: [2, -3, 2, 1],  offset: 0,   nodal: 'M2' },
+  K2:  { args: [2, 0, 2, 0],   offset: 0,   nodal: 'K2' },
+  K1:  { args: [1, 0, 1, 0],   offset: -90, nodal: 'K1' },
+  O1:  { args: [1, -2, 1, 0],  offset: 90,  nodal: 'O1' },
+  P1:  { args: [1, 0, -1, 0],  offset: 90,  nodal: null },
+  Q1:  { args: [1, -3, 1, 1],  offset: 90,  nodal: 'O1' },
+  M4:  { args: [4, -4, 4, 0],  offset: 0,   nodal: 'M4' },
+  MS4: { args: [4, -2, 2, 0],  offset: 0,   nodal: 'M2' },
+};
+
+// ─── Astronomie ─────────────────────────────────────────
+// Longitudes moyennes (°) : s = Lune, h = Soleil, p = périgée lunaire, N = nœud ascendant
+function astronomicalArguments(date) {
+  const ms = date.getTime();
+  const jd = ms / 86400000 + 2440587.5;
+  const T = (jd - 2451545.0) / 36525;
+  const utHours = (ms % 86400000) / 3600000;
+
+  return {
+    T: 15 * utHours + 180, // angle horaire du Soleil moyen (0 au passage méridien)
+    s: 218.3164477 + 481267.88123421 * T,
+    h: 280.46646 + 36000.76983 * T,
+    p: 83.3532465 + 4069.0137287 * T,
+    N: 125.04452 - 1934.136261 * T,
+  };
+}
+
+// Corrections nodales (Schureman) — cycle de 18.6 ans de la Lune
+function nodalCorrection(type, N) {
+  const n = N * DEG;
+  switch (type) {
+    case 'M2':
+      return { f: 1.0004 - 0.0373 * Math.cos(n) + 0.0002 * Math.cos(2 * n), u: -2.14 * Math.sin(n) };
+    case 'K2':
+      return {
+        f: 1.0241 + 0.2863 * Math.cos(n) + 0.0083 * Math.cos(2 * n) - 0.0015 * Math.cos(3 * n),
+        u: -17.74 * Math.sin(n) + 0.68 * Math.sin(2 * n) - 0.04 * Math.sin(3 * n),
+      };
+    case 'K1':
+      return {
+        f: 1.0060 + 0.1150 * Math.cos(n) - 0.0088 * Math.cos(2 * n) + 0.0006 * Math.cos(3 * n),
+        u: -8.86 * Math.sin(n) + 0.68 * Math.sin(2 * n) - 0.07 * Math.sin(3 * n),
+      };
+    case 'O1':
+      return {
+        f: 1.0089 + 0.1871 * Math.cos(n) - 0.0147 * Math.cos(2 * n) + 0.0014 * Math.cos(3 * n),
+        u: 10.80 * Math.sin(n) - 1.34 * Math.sin(2 * n) + 0.19 * Math.sin(3 * n),
+      };
+    case 'M4': {
+      const m2 = nodalCorrection('M2', N);
+      return { f: m2.f * m2.f, u: 2 * m2.u };
+    }
+    default:
+      return { f: 1, u: 0 };
+  }
+}
+
+// ─── Hauteurs ───────────────────────────────────────────
+// harmonics = { z0, constituents: { M2: [amplitude_m, phase_deg], … } }
+function predictHeight(harmonics, date) {
+  const astro = astronomicalArguments(date);
+  const base = [astro.T, astro.s, astro.h, astro.p];
+
+  let height = harmonics.z0 || 0;
+  for (const [name, [amplitude, phase]] of Object.entries(harmonics.constituents || {})) {
+    const constituent = CONSTITUENTS[name];
+    if (!constituent) continue;
+    const V = constituent.args.reduce((sum, k, i) => sum + k * base[i], constituent.offset);
+    const { f, u } = nodalCorrection(constituent.nodal, astro.N);
+    height += f * amplitude * Math.cos((V + u - phase) * DEG);
+  }
+  return height;
+}
+
+// Hauteurs horaires à partir de startMs (arrondi à l'heure)
+function predictHourly(harmonics, startMs, hours) {
+  const first = Math.floor(startMs / 3600000) * 3600000;
+  const points = [];
+  for (let i = 0; i < hours; i++) {
+    const date = new Date(first + i * 3600000);
+    points.push({
+      time: date.toISOString(),
+      timestamp: Math.floor(date.getTime() / 1000),
+      height: Math.round(predictHeight(harmonics, date) * 100) / 100,
+    });
+  }
+  return points;
+}
+
+// Pleines et basses mers entre startMs et endMs, même format que stormglassService.getTideExtremes
+function predictExtremes(harmonics, startMs, endMs) {
+  const STEP_MS = 6 * 60 * 1000;
+  const samples = [];
+  for (let t = startMs - STEP_MS; t <= endMs + STEP_MS; t += STEP_MS) {
+    samples.push({ t, h: predictHeight(harmonics, new Date(t)) });
+  }
+
+  const extremes = [];
+  for (let i = 1; i < samples.length - 1; i++) {
+    const [a, b, c] = [samples[i - 1], samples[i], samples[i + 1]];
+    const isHigh = b.h > a.h && b.h >= c.h;
+    const isLow = b.h < a.h && b.h <= c.h;
+    if (!isHigh && !isLow) continue;
+
+    // Affinage parabolique entre les trois échantillons
+    const denom = a.h - 2 * b.h + c.h;
+    const shift = denom !== 0 ? 0.5 * (a.h - c.h) / denom : 0;
+    const t = Math.round(b.t + shift * STEP_MS);
+    if (t < startMs || t > endMs) continue;
+
+    const type = isHigh ? 'high' : 'low';
+    const height = predictHeight(harmonics, new Date(t));
+    const time = new Date(t);
+    extremes.push({
+      time: time.toISOString(),
+      timestamp: Math.floor(t / 1000),
+      type,
+      height: Math.round(height * 100) / 100,
+      label: (type === 'high' ? '⬆' : '⬇') + ' ' + time.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Paris' }),
+    });
+  }
+  return extremes;
+}
+
+// ─── Interface fournisseur (forecastProvider) ───────────
+function findHarmonicStation(lat, lng) {
+  return findNearestStation(lat, lng, { harmonicsOnly: true });
+}
+
+async function getTideExtremes(lat, lng, days = 2, startMs = Date.now()) {
+  const station = findHarmonicStation(lat, lng);
+  if (!station) return [];
+  return predictExtremes(station.harmonics, startMs, startMs + days * 86400000)
+    .map(e => ({ ...e, station: station.code, source: 'harmonic' }));
+}
+
+async function getHourlyHeights(lat, lng, days = 2, startMs = Date.now()) {
+  const station = findHarmonicStation(lat, lng);
+  if (!station) return [];
+  return predictHourly(station.harmonics, startMs, days * 24);
+}
+
+module.exports = {
+  CONSTITUENTS,
+  predictHeight,
+  predictHourly,
+  predictExtremes,
+  getTideExtremes,
+  getHourlyHeights,
+};
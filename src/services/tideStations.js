@@ -0,0 +1,83 @@
+// ⚓ Registre des stations de marée SurfAI
+// Chaque spot est rattaché au port de référence le plus proche (distance haversine)
+// provider : source des hauteurs d'eau pour cette station ('shom' = maree.shom.fr)
+// harmonics : constantes pour la prédiction hors ligne (tidePredictor) — z0 = niveau moyen
+// au-dessus du zéro hydrographique (m), constituents = { nom: [amplitude_m, phase_greenwich_deg] }.
+// SJL, BIA, SDO, BRE : constantes TICON-4 (analyses des marégraphes REFMAR / UHSLC, CC BY 4.0),
+// vérifiées par scripts/check-tides.js. CPB et CFE (sans marégraphe) : valeurs approchées.
+
+const TIDE_STATIONS = [
+  // Côte basque et landaise
+  { code: 'SJL', name: 'Saint-Jean-de-Luz (Socoa)', lat: 43.3950, lng: -1.6833, provider: 'shom',
+    harmonics: { z0: 2.59, constituents: { M2: [1.33, 93], S2: [0.46, 125], N2: [0.28, 73], K2: [0.13, 122], K1: [0.06, 68], O1: [0.07, 320], P1: [0.02, 55], Q1: [0.02, 274], M4: [0.03, 328], MS4: [0.01, 37] } } },
+  { code: 'BIA', name: 'Biarritz / Boucau-Bayonne', lat: 43.5270, lng: -1.5150, provider: 'shom',
+    harmonics: { z0: 2.61, constituents: { M2: [1.23, 96], S2: [0.43, 129], N2: [0.26, 77], K2: [0.12, 126], K1: [0.06, 71], O1: [0.07, 323], P1: [0.02, 59], Q1: [0.02, 278], M4: [0.01, 295] } } },
+  { code: 'CPB', name: 'Capbreton',                 lat: 43.6560, lng: -1.4480, provider: 'shom',
+    harmonics: { z0: 2.20, constituents: { M2: [1.31, 95], S2: [0.46, 126], N2: [0.27, 77], K2: [0.13, 123], K1: [0.07, 63], O1: [0.07, 322], P1: [0.02, 58], M4: [0.02, 110] } } },
+  // Gironde et bassin d'Arcachon
+  { code: 'ARC', name: 'Arcachon (Eyrac)',          lat: 44.6650, lng: -1.1630, provider: 'shom' },
+  { code: 'CFE', name: 'Cap Ferret',                lat: 44.6320, lng: -1.2500, provider: 'shom',
+    harmonics: { z0: 2.35, constituents: { M2: [1.36, 98], S2: [0.48, 129], N2: [0.28, 80], K2: [0.13, 126], K1: [0.07, 65], O1: [0.07, 324], P1: [0.02, 60], M4: [0.03, 125] } } },
+  { code: 'PGR', name: 'Pointe de Grave',           lat: 45.5690, lng: -1.0620, provider: 'shom' },
+  { code: 'ROY', name: 'Royan',                     lat: 45.6200, lng: -1.0300, provider: 'shom' },
+  // Charente et Vendée
+  { code: 'LRO', name: 'La Rochelle (La Pallice)',  lat: 46.1580, lng: -1.2210, provider: 'shom' },
+  { code: 'SDO', name: 'Les Sables-d\'Olonne',      lat: 46.4940, lng: -1.7950, provider: 'shom',
+    harmonics: { z0: 3.31, constituents: { M2: [1.56, 97], S2: [0.56, 130], N2: [0.32, 78], K2: [0.16, 127], K1: [0.06, 74], O1: [0.07, 327], P1: [0.02, 61], Q1: [0.02, 282], M4: [0.15, 5], MS4: [0.06, 86] } } },
+  { code: 'SGV', name: 'Saint-Gilles-Croix-de-Vie', lat: 46.6920, lng: -1.9460, provider: 'shom' },
+  // Bretagne
+  { code: 'SNZ', name: 'Saint-Nazaire',             lat: 47.2670, lng: -2.2000, provider: 'shom' },
+  { code: 'QUI', name: 'Quiberon (Port-Maria)',     lat: 47.4750, lng: -3.1200, provider: 'shom' },
+  { code: 'LOR', name: 'Lorient',                   lat: 47.7480, lng: -3.3600, provider: 'shom' },
+  { code: 'CON', name: 'Concarneau',                lat: 47.8730, lng: -3.9130, provider: 'shom' },
+  { code: 'AUD', name: 'Audierne',                  lat: 48.0120, lng: -4.5390, provider: 'shom' },
+  { code: 'BRE', name: 'Brest',                     lat: 48.3830, lng: -4.4950, provider: 'shom',
+    harmonics: { z0: 4.20, constituents: { M2: [2.05, 109], S2: [0.75, 148], N2: [0.42, 91], K2: [0.21, 146], K1: [0.06, 75], O1: [0.07, 328], P1: [0.02, 64], Q1: [0.02, 281], M4: [0.05, 106], MS4: [0.03, 182] } } },
+  { code: 'ROS', name: 'Roscoff',                   lat: 48.7180, lng: -3.9660, provider: 'shom' },
+  { code: 'STM', name: 'Saint-Malo',                lat: 48.6400, lng: -2.0280, provider: 'shom' },
+  // Manche
+  { code: 'CHE', name: 'Cherbourg',                 lat: 49.6510, lng: -1.6350, provider: 'shom' },
+  { code: 'LHA', name: 'Le Havre',                  lat: 49.4820, lng: 0.1070,  provider: 'shom' },
+  { code: 'DIE', name: 'Dieppe',                    lat: 49.9290, lng: 1.0840,  provider: 'shom' },
+  { code: 'BOU', name: 'Boulogne-sur-Mer',          lat: 50.7270, lng: 1.5770,  provider: 'shom' },
+  { code: 'DUN', name: 'Dunkerque',                 lat: 51.0480, lng: 2.3670,  provider: 'shom' },
+];
+
+// Au-delà, le port le plus proche ne représente plus la marée du spot
+const MAX_STATION_DISTANCE_KM = 150;
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function getStation(code) {
+  if (!code) return null;
+  return TIDE_STATIONS.find(s => s.code === String(code).toUpperCase()) || null;
+}
+
+// Station la plus proche (filtrable par provider ou présence de constantes harmoniques)
+// — null si aucune dans le rayon
+function findNearestStation(lat, lng, { provider = null, harmonicsOnly = false, maxDistanceKm = MAX_STATION_DISTANCE_KM } = {}) {
+  lat = parseFloat(lat);
+  lng = parseFloat(lng);
+  if (isNaN(lat) || isNaN(lng)) return null;
+
+  let best = null;
+  for (const station of TIDE_STATIONS) {
+    if (provider && station.provider !== provider) continue;
+    if (harmonicsOnly && !station.harmonics) continue;
+    const distanceKm = haversineKm(lat, lng, station.lat, station.lng);
+    if (!best || distanceKm < best.distanceKm) best = { ...station, distanceKm };
+  }
+
+  if (!best || best.distanceKm > maxDistanceKm) return null;
+  return { ...best, distanceKm: Math.round(best.distanceKm * 10) / 10 };
+}
+
+module.exports = { TIDE_STATIONS, getStation, findNearestStation, haversineKm };